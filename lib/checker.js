@@ -0,0 +1,286 @@
+'use strict';
+
+const _ = require('lodash');
+const resolver = require('./resolver');
+
+const verbs = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// where a parameter may be, by specification
+const locations = {
+  '2.0': ['query', 'header', 'path', 'formData', 'body'],
+  '3.0': ['query', 'header', 'path', 'cookie'],
+  '3.1': ['query', 'header', 'path', 'cookie'],
+};
+
+/**
+ * JSON pointer of a location of the document
+ * @param {array} segments - keys from the root of the document
+ * @returns {string} - i.e. '#/paths/~1users/get/responses/200'
+ */
+function toPointer(segments) {
+  return `#${segments.map(segment => `/${resolver.escapeSegment(segment)}`).join('')}`;
+}
+
+/**
+ * Check a document against the structure of its specification and the constraints of the generator
+ * Swagger 1.x documents are not checked, references to other files are checked when they are bundled
+ * The problems the generators tolerate (undeclared path parameters, unknown keys of the responses) are warnings
+ * @param {object} swagger - Swagger 2 or OpenAPI 3 document
+ * @param {object} [opts] - generation options, 'multiple' needs operations and schemas
+ * @returns {array} - every problem, as { pointer, message, level }, the level is 'error' or 'warning'
+ */
+function check(swagger, opts = {}) {
+  const problems = [];
+  const report = (segments, message) => problems.push({ pointer: toPointer(segments), message, level: 'error' });
+  const warn = (segments, message) => problems.push({ pointer: toPointer(segments), message, level: 'warning' });
+
+  if (!_.isPlainObject(swagger)) {
+    report([], 'should be an object');
+    return problems;
+  }
+
+  let version;
+  if (swagger.swagger !== undefined) {
+    version = swagger.swagger === '2.0' ? '2.0' : null;
+    if (!version) {
+      report(['swagger'], `Unsupported Swagger version: ${swagger.swagger}, use 2.0`);
+    }
+  } else if (swagger.openapi !== undefined) {
+    const match = /^3\.([01])(\.\d+)?(-.+)?$/.exec(String(swagger.openapi));
+    version = match ? `3.${match[1]}` : null;
+    if (!version) {
+      report(['openapi'], `Unsupported OpenAPI version: ${swagger.openapi}, use a 3.0.x or 3.1.x version`);
+    }
+  } else if (swagger.swaggerVersion || swagger.apis) {
+    return problems;
+  } else {
+    report([], 'should have a \'swagger\' or an \'openapi\' version');
+  }
+  if (!version) {
+    return problems;
+  }
+
+  const isObject = (value, segments, name) => {
+    if (!_.isPlainObject(value)) {
+      report(segments, `${name} should be an object`);
+      return false;
+    }
+    return true;
+  };
+
+  // local references must point to an existing value
+  const checkRef = (value, segments) => {
+    if (!_.isString(value.$ref)) {
+      report(segments.concat('$ref'), 'should be a string');
+    } else if (value.$ref[0] === '#' && resolver.getByPointer(swagger, value.$ref) === undefined) {
+      report(segments.concat('$ref'), `${value.$ref} does not exist`);
+    }
+  };
+  const walkRefs = (value, segments) => {
+    if (_.isArray(value)) {
+      value.forEach((entry, i) => walkRefs(entry, segments.concat(i)));
+    } else if (_.isPlainObject(value)) {
+      if (value.hasOwnProperty('$ref')) {
+        checkRef(value, segments);
+      }
+      _.forEach(value, (entry, key) => {
+        if (key !== 'example' && key !== 'examples' && !/^x-/.test(key)) {
+          walkRefs(entry, segments.concat(key));
+        }
+      });
+    }
+  };
+  walkRefs(swagger, []);
+
+  // references of the operations are followed to check the objects they point to, undefined when they cannot be
+  const deref = (value, section) => {
+    try {
+      return resolver.deref(swagger, value, version === '2.0' ? [section] : ['components', section]);
+    } catch (e) {
+      return undefined;
+    }
+  };
+
+  if (isObject(swagger.info, ['info'], 'info')) {
+    ['title', 'version'].filter(key => !_.isString(swagger.info[key])).forEach((key) => {
+      report(['info', key], 'should be a string');
+    });
+  }
+
+  const checkParameter = (parameter, segments) => {
+    const resolved = deref(parameter, 'parameters');
+    if (resolved === undefined) {
+      return null;
+    }
+    if (!_.isPlainObject(resolved)) {
+      report(segments, 'parameter should be an object');
+      return null;
+    }
+    if (!_.isString(resolved.name) || resolved.name === '') {
+      report(segments.concat('name'), 'should be a non-empty string');
+    }
+    if (locations[version].indexOf(resolved.in) === -1) {
+      report(segments.concat('in'), `should be one of ${locations[version].join(', ')}, not ${JSON.stringify(resolved.in)}`);
+    }
+    if (resolved.in === 'path' && resolved.required !== true) {
+      report(segments.concat('required'), 'path parameters should be required');
+    }
+    if (version === '2.0' && resolved.in === 'body' && !_.isPlainObject(resolved.schema)) {
+      report(segments.concat('schema'), 'body parameters should have a schema');
+    }
+    return resolved;
+  };
+
+  const checkParameters = (parameters, segments) => {
+    if (parameters === undefined) {
+      return [];
+    }
+    if (!_.isArray(parameters)) {
+      report(segments, 'parameters should be an array');
+      return [];
+    }
+    return parameters.map((parameter, i) => checkParameter(parameter, segments.concat(i)));
+  };
+
+  const checkContent = (content, segments) => {
+    if (isObject(content, segments, 'content')) {
+      _.forEach(content, (media, type) => {
+        isObject(media, segments.concat(type), 'media type');
+      });
+    }
+  };
+
+  const checkResponses = (responses, segments) => {
+    if (responses === undefined && version === '3.1') {
+      return;
+    }
+    if (!isObject(responses, segments, 'responses')) {
+      return;
+    }
+    if (Object.keys(responses).length === 0) {
+      report(segments, 'should list at least one response');
+    }
+    _.forEach(responses, (response, status) => {
+      const location = segments.concat(status);
+      if (!/^([1-5](\d\d|XX)|default)$/.test(status) && !/^x-/.test(status)) {
+        warn(location, 'should be an HTTP status code, a range (2XX) or \'default\'');
+      }
+      const resolved = deref(response, 'responses');
+      if (!/^([1-5](\d\d|XX)|default)$/.test(status) || resolved === undefined) {
+        return;
+      }
+      if (!isObject(resolved, location, 'response')) {
+        return;
+      }
+      if (!_.isString(resolved.description)) {
+        report(location.concat('description'), 'should be a string');
+      }
+      if (version !== '2.0' && resolved.content !== undefined) {
+        checkContent(resolved.content, location.concat('content'));
+      }
+    });
+  };
+
+  const operationIds = {};
+  let operations = 0;
+
+  // OpenAPI 3.1 documents may only have webhooks or components
+  const hasPaths = swagger.paths !== undefined || version !== '3.1';
+  if (hasPaths && isObject(swagger.paths, ['paths'], 'paths')) {
+    _.forEach(swagger.paths, (api, path) => {
+      const segments = ['paths', path];
+      if (/^x-/.test(path)) {
+        return;
+      }
+      if (path[0] !== '/') {
+        report(segments, 'paths should start with \'/\'');
+      }
+      if (!isObject(api, segments, 'path item') || api.$ref) {
+        return;
+      }
+      const shared = checkParameters(api.parameters, segments.concat('parameters'));
+      verbs.filter(verb => api[verb] !== undefined).forEach((verb) => {
+        const op = api[verb];
+        const location = segments.concat(verb);
+        if (!isObject(op, location, 'operation')) {
+          return;
+        }
+        operations++;
+        if (op.operationId !== undefined) {
+          if (!_.isString(op.operationId)) {
+            report(location.concat('operationId'), 'should be a string');
+          } else if (operationIds[op.operationId]) {
+            report(location.concat('operationId'), `${op.operationId} is already the operationId of ${operationIds[op.operationId]}`);
+          } else {
+            operationIds[op.operationId] = toPointer(location);
+          }
+        }
+        if (op.tags !== undefined && !(_.isArray(op.tags) && op.tags.every(_.isString))) {
+          report(location.concat('tags'), 'should be an array of strings');
+        }
+        const parameters = checkParameters(op.parameters, location.concat('parameters')).concat(shared);
+        // the parameters that cannot be followed here (external references) may declare any name
+        if (parameters.indexOf(null) === -1) {
+          (path.match(/\{[^}]+\}/g) || []).map(name => name.slice(1, -1)).forEach((name) => {
+            if (!parameters.some(parameter => parameter.in === 'path' && parameter.name === name)) {
+              warn(location, `path parameter ${name} is not declared`);
+            }
+          });
+        }
+        if (version !== '2.0' && op.requestBody !== undefined) {
+          const body = deref(op.requestBody, 'requestBodies');
+          if (body !== undefined && isObject(body, location.concat('requestBody'), 'requestBody')) {
+            checkContent(body.content, location.concat('requestBody', 'content'));
+          }
+        }
+        checkResponses(op.responses, location.concat('responses'));
+      });
+    });
+  }
+
+  const container = version === '2.0' ? ['definitions'] : ['components', 'schemas'];
+  const schemas = _.get(swagger, container);
+  if (schemas !== undefined && isObject(schemas, container, 'schemas')) {
+    _.forEach(schemas, (schema, name) => {
+      if (!_.isPlainObject(schema) && !(version === '3.1' && _.isBoolean(schema))) {
+        report(container.concat(name), 'schema should be an object');
+      }
+    });
+  }
+
+  // the multi-class generation builds controllers from the operations and definition classes from the schemas
+  if (opts.multiple) {
+    if (operations === 0) {
+      report(['paths'], 'the multi-class generation needs at least one operation');
+    }
+    if (_.isEmpty(schemas)) {
+      report(container, 'the multi-class generation needs at least one schema');
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check a document, throws an error listing every error
+ * @param {object} swagger - Swagger 2 or OpenAPI 3 document
+ * @param {object} [opts] - generation options
+ * @returns {array} - the warnings, as { pointer, message, level }
+ * @throws {Error} - SpecificationError, its 'problems' list every error as { pointer, message, level }
+ */
+function assertValid(swagger, opts) {
+  const problems = check(swagger, opts);
+  const errors = problems.filter(problem => problem.level === 'error');
+  if (errors.length > 0) {
+    const details = errors.map(problem => `  ${problem.pointer}: ${problem.message}`).join('\n');
+    throw Object.assign(new Error(`Invalid document, ${errors.length} problem${errors.length > 1 ? 's' : ''}:\n${details}`),
+      { name: 'SpecificationError', problems: errors });
+  }
+  return problems.filter(problem => problem.level === 'warning');
+}
+
+module.exports = {
+  assertValid,
+  check,
+  toPointer,
+};
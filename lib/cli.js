@@ -1,45 +1,175 @@
 'use strict';
 
-const fs = require('fs');
 const pkg = require('../package.json');
 const cli = require('commander');
-const yaml = require('js-yaml').safeLoad;
-const CodeGen = require('./codegen').CodeGen;
+const config = require('./config');
+const diff = require('./diff');
+const watch = require('./watch').watch;
+
+/**
+ * Collect the values of an option that may be repeated
+ */
+function collect(value, values) {
+    return values.concat(value);
+}
+
+/**
+ * Collect 'key=value' pairs, values are parsed as JSON when they can be
+ */
+function pairs(value, object) {
+    const index = value.indexOf('=');
+    if (index <= 0) {
+        throw new Error(`Invalid pair: ${value}, use key=value`);
+    }
+    const raw = value.slice(index + 1);
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch (e) {
+        parsed = raw;
+    }
+    return Object.assign({}, object, { [value.slice(0, index)]: parsed });
+}
+
+/**
+ * Options of the generation from the command line flags, the flags that are not set are left out
+ */
+function getJob(file, imports, options) {
+    const job = {
+        spec: file,
+        type: options.type.toLowerCase(),
+        moduleName: options.module,
+        className: options.class,
+        lint: options.lint || false,
+        beautify: options.beautify || false,
+        esnext: options.esnext,
+        isES6: options.es6,
+        out: options.out,
+        multiple: options.multiple,
+        dryRun: options.dryRun,
+        controllersDirName: options.controllersDir,
+        definitionsDirName: options.definitionsDir,
+        framework: options.framework,
+        grouping: options.grouping,
+        fallbackController: options.fallbackController,
+        dialect: options.dialect,
+        procedureVerbs: options.procedureVerbs && options.procedureVerbs.split(','),
+        requestBodyParameterName: options.requestBodyParameterName,
+        validateRequests: options.validateRequests,
+        validateResponses: options.validateResponses,
+        validate: options.validate,
+    };
+    if (imports.length > 0 || options.import.length > 0) {
+        job.imports = imports.concat(options.import);
+    }
+    ['mustache', 'converters', 'formatTypes'].forEach((name) => {
+        if (Object.keys(options[name]).length > 0) {
+            job[name] = options[name];
+        }
+    });
+    const template = {};
+    ['class', 'method', 'request', 'type'].forEach((name) => {
+        const flag = 'template' + name.charAt(0).toUpperCase() + name.substr(1);
+        if (options[flag]) {
+            template[name] = options[flag];
+        }
+    });
+    if (Object.keys(template).length > 0) {
+        job.template = template;
+    }
+    Object.keys(job).filter(key => job[key] === undefined).forEach((key) => {
+        delete job[key];
+    });
+    return job;
+}
+
+/**
+ * Run the jobs one after the other, the generated code is printed when it is not written
+ */
+function runAll(jobs) {
+    return jobs.reduce((previous, job) => previous.then(() => config.run(job).then((result) => {
+        if (typeof result === 'string') {
+            console.log(result);
+        } else if (job.dryRun) {
+            result.forEach(file => console.log(`> ${file}`));
+        } else {
+            result.forEach(file => console.error(`> swagger-js-codegen @ written ${file}`));
+        }
+    })), Promise.resolve());
+}
 
 cli
     .version(pkg.version)
-    .command('generate <file> [imports...]')
+    .command('generate [file] [imports...]')
     .alias('gen')
-    .description('Generate from Swagger file')
-    .option('-t, --type <type>', 'Code type [typescript]', /^(typescript|angular|node|react)$/i, 'typescript')
+    .description(`Generate from Swagger file, or run the jobs of the configuration file (${config.configFiles.join(', ')})`)
+    .option('-t, --type <type>', 'Code type [typescript]', /^(typescript|angular|node|node-legacy|mock|react|custom)$/i, 'typescript')
     .option('-m, --module <module>', 'Your AngularJS module name [Test]', 'Test')
     .option('-c, --class <class>', 'Class name [Test]', 'Test')
     .option('-l, --lint', 'Whether or not to run jslint on the generated code [false]')
     .option('-b, --beautify', 'Whether or not to beautify the generated code [false]')
+    .option('-o, --out <path>', 'File (or directory) of the generated class, destination directory of the multi-class generation')
+    .option('--config <file>', 'Configuration file listing the generation jobs')
+    .option('-w, --watch', 'Regenerate when the document, or a file it references, changes')
+    .option('--esnext', 'Passed through to jshint')
+    .option('--es6', 'Generate ES6 code')
+    .option('--import <file>', 'Typescript definition file to import (repeatable)', collect, [])
+    .option('--mustache <key=value>', 'Mustache variable of the templates (repeatable)', pairs, {})
+    .option('--template-class <file>', 'Template of the class')
+    .option('--template-method <file>', 'Template of the methods')
+    .option('--template-request <file>', 'Template of the requests')
+    .option('--template-type <file>', 'Template of the Typescript types')
+    .option('--format-types <format=type>', 'Typescript type of the values of a format (repeatable)', pairs, {})
+    .option('--request-body-parameter-name <name>', 'Name of the body parameter of OpenAPI 3 request bodies [body]')
+    .option('--validate-requests', 'Check the parameters of the calls against the document')
+    .option('--validate-responses', 'Check the responses against the document')
+    .option('--no-validate', 'Generate without checking the document first')
+    .option('--multiple', 'Generate the multi-class controllers, routes and definitions')
+    .option('--dry-run', 'List the files of the multi-class generation without writing them')
+    .option('--controllers-dir <name>', 'Directory of the controllers [routes_generated]')
+    .option('--definitions-dir <name>', 'Directory of the definitions [definitions_generated]')
+    .option('--framework <name>', 'Framework of the controllers: fastify, express, koa or http [fastify]')
+    .option('--grouping <strategy>', 'Grouping of the operations into controllers: tag, x-controller or path [tag]')
+    .option('--fallback-controller <name>', 'Controller of the operations without group [default]')
+    .option('--dialect <dialect>', 'Dialect of the queries: mysql, postgres or named [mysql]')
+    .option('--procedure-verbs <verbs>', 'Comma-separated verbs of the methods calling stored procedures')
+    .option('--converters <key=converter>', 'Converter of the properties of a format, type or extension (repeatable)', pairs, {})
     .action((file, imports, options) => {
-        const fnName = 'get' + options.type.charAt(0).toUpperCase() + options.type.substr(1) + 'Code';
-        const fn = CodeGen[fnName];
-        options.lint = options.lint || false;
-        options.beautify = options.beautify || false;
-
-        const content = fs.readFileSync(file, 'utf-8');
+        Promise.resolve().then(() => {
+            let jobs;
+            if (file) {
+                jobs = [getJob(file, imports, options)];
+            } else {
+                const configFile = options.config || config.find(process.cwd());
+                if (!configFile) {
+                    throw new Error(`No file to generate from and no configuration file (${config.configFiles.join(', ')})`);
+                }
+                jobs = config.load(configFile);
+            }
+            return options.watch ? watch(jobs).ready : runAll(jobs);
+        }).catch((err) => {
+            console.error(err.message);
+            process.exitCode = 1;
+        });
+    });
 
-        var swagger;
+cli
+    .command('diff <old> <new>')
+    .description('Report the changes between two versions of a Swagger file, exits with 1 on breaking changes')
+    .option('--json', 'Print the changes as JSON')
+    .option('--no-validate', 'Compare without checking the documents first')
+    .action((before, after, options) => {
         try {
-            swagger = JSON.parse(content);
-        } catch (e) {
-            swagger = yaml(content);
+            const changes = diff.diff(
+                { swagger: config.readSpec(before), swaggerPath: before, validate: options.validate },
+                { swagger: config.readSpec(after), swaggerPath: after, validate: options.validate }
+            );
+            console.log(options.json ? JSON.stringify(changes, null, 2) : diff.format(changes).join('\n') || 'No changes');
+            process.exitCode = changes.some(change => change.breaking) ? 1 : 0;
+        } catch (err) {
+            console.error(err.message || err);
+            process.exitCode = 2;
         }
-
-        const result = fn({
-            moduleName: options.module,
-            className: options.class,
-            swagger: swagger,
-            lint: options.lint,
-            beautify: options.beautify
-        });
-
-        console.log(result);
     });
 
 cli.parse(process.argv);
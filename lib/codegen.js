@@ -6,11 +6,19 @@ var beautify = require('js-beautify').js_beautify;
 var lint = require('jshint').JSHINT;
 var _ = require('lodash');
 
+var checker = require('./checker');
 var expose = require('./expose');
 var formatter = require('./formatter');
+var grouping = require('./grouping');
+var mock = require('./mock');
 var querier = require('./querier');
+var regions = require('./regions');
+var resolver = require('./resolver');
+var routes = require('./routes');
 var splitter = require('./splitter');
 var ts = require('./typescript');
+var validation = require('./validation');
+var writer = require('./writer');
 
 var normalizeName = function(id) {
   return id.replace(/\.|\-|\{|\}|\s/g, '_');
@@ -35,9 +43,133 @@ var getPathToMethodName = function(opts, m, path){
   return m.toLowerCase() + result[0].toUpperCase() + result.substring(1);
 };
 
+/**
+ * Resolve the responses of an operation, including the headers they declare
+ * @param {object} swagger - root document
+ * @param {object} responses - responses of the operation
+ * @returns {object}
+ */
+var resolveResponses = function(swagger, responses) {
+  return _.mapValues(responses, function(response) {
+    response = resolver.deref(swagger, response, ['responses']);
+    if (!_.isObject(response.headers)) {
+      return response;
+    }
+    return _.assign({}, response, {
+      headers: _.mapValues(response.headers, function(header) {
+        return resolver.deref(swagger, header);
+      })
+    });
+  });
+};
+
+/**
+ * Get the named schemas of an OpenAPI 3 document
+ * JSON Schema '$defs' (OpenAPI 3.1) nested in the component schemas are exposed by their own name
+ * @param {object} swagger - OpenAPI 3 document
+ * @returns {object}
+ * @throws {Error} - when a '$defs' name is already the name of a different schema
+ */
+var getSchemas = function(swagger) {
+  var schemas = _.assign({}, swagger.components && swagger.components.schemas);
+  var owners = {};
+  _.forEach(swagger.components && swagger.components.schemas, function(schema, owner) {
+    _.forEach(schema && schema.$defs, function(nested, name) {
+      if (schemas.hasOwnProperty(name) && !_.isEqual(schemas[name], nested)) {
+        throw new Error('Schema name collision: ' + name + ' of the $defs of ' + owner + ' is already ' +
+          (owners[name] ? 'defined in the $defs of ' + owners[name] : 'a component schema'));
+      }
+      schemas[name] = nested;
+      owners[name] = owners[name] || owner;
+    });
+  });
+  return schemas;
+};
+
+/**
+ * Add the definitions to the view
+ * Schemas with readOnly / writeOnly properties get '<name>Request' and '<name>Response' variants as well,
+ * numbered when the document already has a schema of that name (see ts.getVariantSuffixes)
+ * @param {object} data - view
+ * @param {object} schemas - named schemas of the document
+ * @param {object} swagger - root document
+ * @param {object} typeOptions - options of ts.convertType
+ */
+var addDefinitions = function(data, schemas, swagger, typeOptions) {
+  _.forEach(schemas, function(definition, name) {
+    data.definitions.push({
+      name: name,
+      description: definition.description,
+      tsType: ts.convertType(definition, swagger, typeOptions)
+    });
+    if (typeOptions.directional.indexOf(name) !== -1) {
+      ['request', 'response'].forEach(function(direction) {
+        data.definitions.push({
+          name: name + typeOptions.variantSuffixes[name][direction],
+          description: definition.description,
+          tsType: ts.convertType(definition, swagger, _.assign({ direction: direction }, typeOptions))
+        });
+      });
+    }
+  });
+};
+
+/**
+ * Typed model of each response of an operation, in declaration order
+ * 2xx codes and 2XX ranges are successes, any other code and 'default' are errors
+ * @param {object} swagger - OpenAPI 3 or Swagger 2 document
+ * @param {object} responses - responses of the operation, see resolveResponses
+ * @param {object} typeOptions - options of ts.convertType
+ * @returns {array}
+ */
+var getResponseTypes = function(swagger, responses, typeOptions) {
+  return ts.markLast(_.map(responses, (response, statusCode) => {
+    // OpenAPI 3 responses have a schema per media type, Swagger 2 responses a single one
+    const schemas = response.content ?
+      _.uniqWith(_.map(response.content, (media) => media.schema), _.isEqual) :
+      _.compact([response.schema]);
+    const hasBody = schemas.length > 0;
+    const tsType = hasBody ?
+      ts.convertType(schemas.length === 1 ? schemas[0] : { anyOf: schemas }, swagger, _.assign({ direction: 'response' }, typeOptions)) :
+      null;
+    return {
+      statusCode: statusCode,
+      description: response.description,
+      isSuccess: /^2(\d\d|XX)$/i.test(statusCode),
+      isDefault: statusCode === 'default',
+      isRange: /^\dXX$/i.test(statusCode),
+      // literal type of the status, 'number' for ranges and 'default'
+      tsStatus: /^\d{3}$/.test(statusCode) ? statusCode : 'number',
+      hasBody: hasBody,
+      tsType: tsType,
+      docType: hasBody ? ts.docType(tsType) : 'undefined',
+      headers: _.keys(response.headers),
+    };
+  }));
+};
+
+/**
+ * Add the typed responses of a method, all of them and split into successes and errors
+ * @param {object} method - method of the view, with its resolved responses
+ * @param {object} swagger - OpenAPI 3 or Swagger 2 document
+ * @param {object} typeOptions - options of ts.convertType
+ */
+var addResponseTypes = function(method, swagger, typeOptions) {
+  method.responseTypes = getResponseTypes(swagger, method.responses, typeOptions);
+  // copies, so the 'last' flags of the lists do not interfere with each other
+  method.successTypes = ts.markLast(method.responseTypes.filter((r) => r.isSuccess).map(_.clone));
+  method.errorTypes = ts.markLast(method.responseTypes.filter((r) => !r.isSuccess).map(_.clone));
+};
+
 var getViewForSwagger3 = function (opts, type) {
+  /* jshint laxbreak: true */
   var swagger = opts.swagger;
   var methods = [];
+  var typeOptions = {
+    formatTypes: opts.formatTypes,
+    directional: ts.getDirectionalSchemas(getSchemas(swagger)),
+  };
+  typeOptions.variantSuffixes = ts.getVariantSuffixes(getSchemas(swagger), typeOptions.directional);
   var authorizedMethods = [
     'GET',
     'POST',
@@ -62,11 +194,13 @@ var getViewForSwagger3 = function (opts, type) {
 
   var data = {
     openapi: swagger.openapi,
-    isNode: type === 'node' || type === 'javascript',
+    isNode: type === 'node' || type === 'node-legacy' || type === 'mock' || type === 'javascript',
     isES6: opts.isES6 || type === 'javascript',
     description: swagger.info.description,
     isSecure: typeof securitySchemes !== 'undefined',
+    moduleName: opts.moduleName,
     className: opts.className,
+    imports: opts.imports,
     domain:
         swagger.schemes &&
         swagger.schemes.length > 0 &&
@@ -105,7 +239,7 @@ var getViewForSwagger3 = function (opts, type) {
         const mergedSecurity = _.flatten(
             _.merge([], swagger.security, op.security).map(function (security) {
               return Object.keys(security);
-            }),
+            })
         );
         if (securitySchemes) {
           for (const sk in securitySchemes) {
@@ -151,7 +285,8 @@ var getViewForSwagger3 = function (opts, type) {
         headers: [],
       };
       if (opts.multiple) {
-        method.destination = op.tags[0].toLowerCase();
+        method.destination = grouping.getDestinations(op, path, api, opts)[0];
+        method.database = querier.getDatabaseOptions(op);
       }
       if (method.isSecure && method.isSecureToken) {
         data.isSecureToken = method.isSecureToken;
@@ -159,9 +294,7 @@ var getViewForSwagger3 = function (opts, type) {
       if (method.isSecure && method.isSecureApiKey) {
         data.isSecureApiKey = method.isSecureApiKey;
         data.apiKeyHeaderName = (
-            Object.values(swagger.components.securitySchemes).find(
-                (i) => i.type === 'apiKey',
-            ) || { name: 'X-API-Key' }
+            _.find(swagger.components.securitySchemes, (i) => i.type === 'apiKey') || { name: 'X-API-Key' }
         ).name;
       }
       if (method.isSecure && method.isSecureBasic) {
@@ -179,33 +312,40 @@ var getViewForSwagger3 = function (opts, type) {
       var hasExtraHeader = false;
 
       if (_.isObject(op.requestBody)) {
-        hasBody = true;
-        const headerKeys = Object.keys(op.requestBody.content);
-        if (headerKeys.length > 0) {
-          // selecting only first found header (not supporting multiple content types in request)
-          const firstHeaderContentType = headerKeys[0];
-          const newParam = {
+        const requestBody = resolver.deref(swagger, op.requestBody);
+        const contentTypes = Object.keys(requestBody.content || {});
+        if (contentTypes.length > 0) {
+          // every declared media type is available, the first one is used unless the caller picks another one
+          const defaultContentType = contentTypes[0];
+          const schemas = _.uniqWith(contentTypes.map((contentType) => requestBody.content[contentType].schema), _.isEqual);
+          const newParam = _.assign({
             in: opts.requestBodyParameterName || 'body',
-            name: op.requestBody['x-method-name'],
-            description: op.requestBody.description,
-            ...op.requestBody.content[firstHeaderContentType],
-          };
-          if (firstHeaderContentType === 'multipart/form-data') {
-            newParam.isFormParameter = true;
-          } else if (firstHeaderContentType === 'application/json') {
-            newParam.isBodyParameter = true;
-          } else if (
-              firstHeaderContentType === 'application/x-www-form-urlencoded'
-          ) {
-            hasBody = false;
-          }
+            name: requestBody['x-method-name'] || 'body',
+            description: requestBody.description,
+          }, requestBody.content[defaultContentType], {
+            schema: schemas.length === 1 ? schemas[0] : { anyOf: schemas },
+            isBodyParameter: true,
+          });
           params.push(newParam);
 
+          hasBody = true;
+          method.requestContentTypes = contentTypes.map((contentType, index) => {
+            return {
+              contentType: contentType,
+              isJson: /^application\/(.*\+)?json/.test(contentType),
+              isUrlEncoded: contentType === 'application/x-www-form-urlencoded',
+              isMultipart: contentType === 'multipart/form-data',
+              isDefault: index === 0,
+              tsType: ts.convertType(requestBody.content[contentType], swagger, _.assign({ direction: 'request' }, typeOptions)),
+              last: index === contentTypes.length - 1,
+            };
+          });
+          method.defaultContentType = defaultContentType;
           method.headers.push({
             name: 'Content-Type',
-            value: firstHeaderContentType,
+            value: '\'' + defaultContentType + '\'',
           });
-          if (firstHeaderContentType === 'multipart/form-data') {
+          if (defaultContentType === 'multipart/form-data') {
             method.isFormMethod = true;
           }
         }
@@ -213,6 +353,8 @@ var getViewForSwagger3 = function (opts, type) {
 
       var hasAnyRequired = false;
       _.forEach(params, function (parameter) {
+        parameter = resolver.deref(swagger, parameter, ['components', 'parameters']);
+
         //Ignore parameters which contain the x-exclude-from-bindings extension
         if (parameter['x-exclude-from-bindings'] === true) {
           return;
@@ -223,13 +365,6 @@ var getViewForSwagger3 = function (opts, type) {
         if (parameter['x-proxy-header'] && !data.isNode) {
           return;
         }
-        if (_.isString(parameter.$ref)) {
-          var segments = parameter.$ref.split('/');
-          parameter =
-              swagger.components.parameters[
-                  segments.length === 1 ? segments[0] : segments[3]
-                  ];
-        }
         parameter.camelCaseName = _.camelCase(parameter.name);
         if (parameter.enum && parameter.enum.length === 1) {
           parameter.isSingleton = true;
@@ -252,7 +387,7 @@ var getViewForSwagger3 = function (opts, type) {
         if (parameter.style === 'pipeDelimited') {
           parameter.transformOperation = 'joinUsingPipes';
         }
-        parameter.tsType = ts.convertType(parameter, swagger);
+        parameter.tsType = ts.convertType(parameter, swagger, _.assign({ direction: 'request' }, typeOptions));
         parameter.default =
             parameter.schema && parameter.schema.default
                 ? parameter.schema.default
@@ -271,55 +406,44 @@ var getViewForSwagger3 = function (opts, type) {
       method.defaultParam = hasAnyRequired ? '' : ' = {}';
       method.hasExtraHeader = hasExtraHeader;
       method.hasBody = hasBody;
-      method.responses = op.responses;
-      method.successResponses = [];
+      method.responses = resolveResponses(swagger, op.responses);
+      addResponseTypes(method, swagger, typeOptions);
       const responseHeaders = {};
-      _.forEach(method.responses, (response, statusCode) => {
-        const content = response.content;
-        _.forEach(content, (schema, contentType) => {
+      _.forEach(method.responses, (response) => {
+        _.forEach(response.content, (media, contentType) => {
           responseHeaders[contentType] = null;
-          if (statusCode === '200' || statusCode === '201') {
-            method.successResponses.push({
-              tsType: ts.convertType(schema, swagger),
-            });
-          }
         });
       });
-      Object.keys(responseHeaders).forEach((contentType) => {
+      if (Object.keys(responseHeaders).length > 0) {
         method.headers.push({
           name: 'Accept',
-          value: contentType,
+          value: `'${Object.keys(responseHeaders).join(', ')}'`,
         });
-      });
-      if (method.successResponses.length > 0) {
-        method.successResponses[method.successResponses.length - 1].last = true;
       }
       data.methods.push(method);
     });
   });
 
-  const definitions =
-      swagger.components && swagger.components.schemas
-          ? swagger.components.schemas
-          : [];
-
-  _.forEach(definitions, function (definition, name) {
-    data.definitions.push({
-      name: name,
-      description: definition.description,
-      tsType: ts.convertType(definition, swagger),
-    });
-  });
+  addDefinitions(data, getSchemas(swagger), swagger, typeOptions);
+  validation.addValidation(data, opts, getSchemas(swagger));
+  if (type === 'mock') {
+    mock.addMock(data, swagger, getSchemas(swagger), typeOptions);
+  }
 
   return data;
-}
+};
 
 var getViewForSwagger2 = function(opts, type){
   var swagger = opts.swagger;
   var methods = [];
+  var typeOptions = {
+    formatTypes: opts.formatTypes,
+    directional: ts.getDirectionalSchemas(swagger.definitions)
+  };
+  typeOptions.variantSuffixes = ts.getVariantSuffixes(swagger.definitions, typeOptions.directional);
   var authorizedMethods = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'COPY', 'HEAD', 'OPTIONS', 'LINK', 'UNLIK', 'PURGE', 'LOCK', 'UNLOCK', 'PROPFIND'];
   var data = {
-    isNode: type === 'node' || type === 'react',
+    isNode: type === 'node' || type === 'node-legacy' || type === 'mock' || type === 'react',
     isES6: opts.isES6 || type === 'react',
     description: swagger.info.description,
     isSecure: swagger.securityDefinitions !== undefined,
@@ -394,13 +518,15 @@ var getViewForSwagger2 = function(opts, type){
         headers: [],
       };
 
-      // add 'destination' field if 'multiple: true'
+      // add the controller of the method if 'multiple: true'
       if (opts.multiple) {
-        method.destination = op.tags[0].toLowerCase();
+        method.destination = grouping.getDestinations(op, path, api, opts)[0];
+        method.database = querier.getDatabaseOptions(op);
       }
 
       // add 'responses' field, that contains schemas and descriptions
-      method.responses = op.responses;
+      method.responses = resolveResponses(swagger, op.responses);
+      addResponseTypes(method, swagger, typeOptions);
 
       if(method.isSecure && method.isSecureToken) {
         data.isSecureToken = method.isSecureToken;
@@ -430,6 +556,8 @@ var getViewForSwagger2 = function(opts, type){
       }
       params = params.concat(globalParams);
       _.forEach(params, function(parameter) {
+        parameter = resolver.deref(swagger, parameter, ['parameters']);
+
         //Ignore parameters which contain the x-exclude-from-bindings extension
         if(parameter['x-exclude-from-bindings'] === true) {
           return;
@@ -440,10 +568,6 @@ var getViewForSwagger2 = function(opts, type){
         if (parameter['x-proxy-header'] && !data.isNode) {
           return;
         }
-        if (_.isString(parameter.$ref)) {
-          var segments = parameter.$ref.split('/');
-          parameter = swagger.parameters[segments.length === 1 ? segments[0] : segments[2] ];
-        }
         parameter.camelCaseName = _.camelCase(parameter.name);
         if(parameter.enum && parameter.enum.length === 1) {
           parameter.isSingleton = true;
@@ -464,7 +588,8 @@ var getViewForSwagger2 = function(opts, type){
         } else if(parameter.in === 'formData'){
           parameter.isFormParameter = true;
         }
-        parameter.tsType = ts.convertType(parameter);
+        parameter.tsType = ts.convertType(parameter, swagger, _.assign({ direction: 'request' }, typeOptions));
+        parameter.defaultSerialized = JSON.stringify(parameter.default);
         parameter.cardinality = parameter.required ? '' : '?';
         method.parameters.push(parameter);
       });
@@ -472,13 +597,11 @@ var getViewForSwagger2 = function(opts, type){
     });
   });
 
-  _.forEach(swagger.definitions, function(definition, name) {
-    data.definitions.push({
-      name: name,
-      description: definition.description,
-      tsType: ts.convertType(definition, swagger)
-    });
-  });
+  addDefinitions(data, swagger.definitions, swagger, typeOptions);
+  validation.addValidation(data, opts, swagger.definitions);
+  if (type === 'mock') {
+    mock.addMock(data, swagger, swagger.definitions, typeOptions);
+  }
 
   return data;
 };
@@ -486,7 +609,7 @@ var getViewForSwagger2 = function(opts, type){
 var getViewForSwagger1 = function(opts, type){
   var swagger = opts.swagger;
   var data = {
-    isNode: type === 'node' || type === 'react',
+    isNode: type === 'node' || type === 'node-legacy' || type === 'react',
     isES6: opts.isES6 || type === 'react',
     description: swagger.description,
     moduleName: opts.moduleName,
@@ -548,13 +671,90 @@ var getViewForSwagger1 = function(opts, type){
   return data;
 };
 
+/**
+ * Get the specification line of the document, OpenAPI 3 documents are matched by their major and minor version
+ * @param {object} swagger - loaded specification
+ * @returns {string} - '2.0', '3.0', '3.1' or '1.x' (Swagger 1.x documents have no version field we rely on)
+ */
+var getSpecVersion = function(swagger) {
+  // For Swagger Specification version 2.0 value of field 'swagger' must be a string '2.0'
+  if (swagger.swagger === '2.0') {
+    return '2.0';
+  }
+  if (swagger.openapi !== undefined) {
+    var version = /^3\.([01])(\.\d+)?(-.+)?$/.exec(String(swagger.openapi));
+    if (!version) {
+      throw new Error('Unsupported OpenAPI version: ' + swagger.openapi);
+    }
+    return '3.' + version[1];
+  }
+  return '1.x';
+};
+
+/**
+ * Move generated files into a directory
+ * @param files <OBJECT> - { <relative path>: content }
+ * @param directory <STRING> - name of the directory
+ * @returns {object} - { <directory>/<relative path>: content }
+ */
+var inDirectory = function(files, directory) {
+  return _.mapKeys(files, function(content, file) {
+    return directory + '/' + file;
+  });
+};
+
+/**
+ * Lint the generated code, unless the 'lint' option is false
+ * @param source <STRING> - generated code
+ * @param opts <OBJECT> - options of the generation
+ * @param lintOptions <OBJECT> - JSHint options
+ * @throws {Error} - on the first error found by JSHint (warnings are ignored)
+ */
+var checkSource = function(source, opts, lintOptions) {
+  if (opts.lint === undefined || opts.lint === true) {
+    lint(source, lintOptions);
+    lint.errors.forEach(function(error) {
+      if (error.code[0] === 'E') {
+        throw new Error(error.reason + ' in ' + error.evidence + ' (' + error.code + ')');
+      }
+    });
+  }
+};
+
+/**
+ * Get the normalized view of a document, the files referenced by the document are bundled into opts.swagger
+ * Invalid documents throw a SpecificationError, see checker.assertValid, unless opts.validate is false
+ * @param opts <OBJECT> - options for the file generation
+ * @param type <STRING> - type of code / file to be generated
+ * @returns {object}
+ */
+var getView = function(opts, type) {
+  // every problem of the document is reported at once, before the view is built
+  if (opts.validate !== false) {
+    checker.assertValid(opts.swagger, opts).forEach(function(warning) {
+      console.log('> swagger-js-codegen @ Warning: ' + warning.pointer + ': ' + warning.message);
+    });
+  }
+  switch (getSpecVersion(opts.swagger)) {
+    case '2.0':
+      opts.swagger = resolver.bundle(opts.swagger, opts.swaggerPath);
+      return getViewForSwagger2(opts, type);
+    case '3.0':
+    case '3.1':
+      opts.swagger = resolver.bundle(opts.swagger, opts.swaggerPath);
+      return getViewForSwagger3(opts, type);
+    default:
+      return getViewForSwagger1(opts, type);
+  }
+};
+
 /**
  * Generate code based on the input file
  * @param options <OBJECT> - options for the file generation
  * @param type <STRING> - type of code / file to be generated (angular, custom, node, react, typescript)
- * @returns {*}
+ * @returns {*} - the code of a single class, the files of a multi-class generation
  */
-var getCode = function(options, type) {
+var buildCode = function(options, type) {
   // check 'multiple' & all of the required parameters
   const opts = _.cloneDeep(options);
   if (options.multiple) {
@@ -564,7 +764,7 @@ var getCode = function(options, type) {
     if (!options.swagger) {
       throw new Error('Missing the Swagger JSON!');
     }
-    if (!options.path) {
+    if (!options.path && !options.dryRun) {
       throw new Error('Missing the destination path!');
     }
     if (!options.controllersDirName) {
@@ -577,29 +777,27 @@ var getCode = function(options, type) {
     }
   }
 
-  // For Swagger Specification version 2.0 value of field 'swagger' must be a string '2.0'
-  var swaggerView;
+  var swaggerView = getView(opts, type);
 
-  switch (opts.swagger.swagger || opts.swagger.openapi) {
-    case '2.0':
-      swaggerView = getViewForSwagger2(opts, type);
-      break;
-    case '3.0.3':
-      swaggerView = getViewForSwagger3(opts, type);
-      break;
-    default:
-      swaggerView = getViewForSwagger1(opts, type);
-      break;
+  var data = swaggerView;
+  // files of the multi-class generation, by path relative to opts.path
+  var generated = {};
+  if (opts.multiple) {
+    // format the default responses for the APIs, add objects for the load
+    var formatted = formatter.format(swaggerView, opts.framework);
+
+    // create definitions
+    var schemas = opts.swagger.definitions || getSchemas(opts.swagger);
+    _.assign(generated, inDirectory(expose.build(schemas, formatted.methods, opts.converters), opts.definitionsDirName));
+    // register the controllers methods as routes, the definitions validate the parameters
+    _.assign(generated, inDirectory(routes.build(swaggerView.methods, Object.keys(schemas), opts.definitionsDirName,
+      opts.framework), opts.controllersDirName));
+    // add all of the necessary query options
+    data = querier(formatted, opts);
+    // the controllers load the definitions index, for its registry and FieldValidator
+    data.definitionsDirName = opts.definitionsDirName;
   }
 
-  // format the default responses for the APIs, add objects for the load
-  var formatted = formatter.format(swaggerView);
-
-  // create definitions
-  expose(opts.swagger.definitions || opts.swagger.components.schemas, formatted.methods, opts.path, opts.definitionsDirName);
-  // add all of the necessary query options
-  var data = querier(formatted);
-
   if (type === 'custom') {
     if (!_.isObject(opts.template) || !_.isString(opts.template.class)  || !_.isString(opts.template.method)) {
       throw new Error('Unprovided custom template. Please use the following template: template: { class: "...", method: "...", request: "..." }');
@@ -616,20 +814,22 @@ var getCode = function(options, type) {
       opts.template.method = fs.readFileSync(templates + 'multi-method.mustache', 'utf-8');
     } else {
       opts.template.class = opts.template.class || fs.readFileSync(templates + type + '-class.mustache', 'utf-8');
-      opts.template.method = opts.template.method || fs.readFileSync(templates + (type === 'typescript' ? 'typescript-' : '') + 'method.mustache', 'utf-8');
+      opts.template.method = opts.template.method || fs.readFileSync(templates + (type === 'typescript' || type === 'node' || type === 'mock' ? type + '-' : '') + 'method.mustache', 'utf-8');
     }
     if (type === 'typescript') {
       opts.template.type = opts.template.type || fs.readFileSync(templates + 'type.mustache', 'utf-8');
     }
+    if (type === 'typescript' || type === 'node' || type === 'mock') {
+      opts.template.validator = opts.template.validator || fs.readFileSync(templates + 'validator.mustache', 'utf-8');
+    }
   }
 
   if (opts.mustache) {
     _.assign(data, opts.mustache);
   }
 
-  var source = Mustache.render(opts.template.class, data, opts.template);
   var lintOptions = {
-    node: type === 'node' || type === 'custom',
+    node: type === 'node' || type === 'node-legacy' || type === 'mock' || type === 'custom' || opts.multiple === true,
     browser: type === 'angular' || type === 'custom' || type === 'react',
     undef: true,
     strict: true,
@@ -645,20 +845,24 @@ var getCode = function(options, type) {
     opts.lint = false;
   }
 
-  if (opts.lint === undefined || opts.lint === true) {
-    lint(source, lintOptions);
-    lint.errors.forEach(function(error) {
-      if (error.code[0] === 'E') {
-        throw new Error(error.reason + ' in ' + error.evidence + ' (' + error.code + ')');
-      }
-    });
-  }
   if (opts.multiple) {
-    return splitter.split(beautify(source, {
-      indent_size: 2,
-      max_preserve_newlines: 2
-    }), opts.className, opts.path, opts.controllersDirName);
+    // every controller is rendered from the methods of its destination, the controllers use async methods
+    var controllers = splitter.render(data, opts.template);
+    _.forEach(controllers, function(content) {
+      checkSource(content, opts, _.assign(_.omit(lintOptions, 'esnext'), { esversion: 8 }));
+    });
+    _.assign(generated, inDirectory(controllers, opts.controllersDirName));
+    // the protected regions of the files generated before are kept
+    generated = regions.preserve(generated, opts.path);
+    if (!opts.dryRun) {
+      writer.write(generated, opts.path);
+      console.log('> swagger-js-codegen @ SUCCESS!');
+    }
+    return generated;
   }
+
+  var source = Mustache.render(opts.template.class, data, opts.template);
+  checkSource(source, opts, lintOptions);
   if (opts.beautify === undefined || opts.beautify === true) {
     return beautify(source, { indent_size: 4, max_preserve_newlines: 2 });
   } else {
@@ -666,10 +870,27 @@ var getCode = function(options, type) {
   }
 };
 
+/**
+ * Generate code based on the input file
+ * A single class is returned, a multi-class generation always returns a Promise (rejected on errors), resolved with the
+ * files by relative path once they are written, or without writing them on a dry run
+ * @param options <OBJECT> - options for the file generation
+ * @param type <STRING> - type of code / file to be generated (angular, custom, node, react, typescript)
+ * @returns {string|Promise}
+ */
+var getCode = function(options, type) {
+  if (options.multiple) {
+    return Promise.resolve().then(function() {
+      return buildCode(options, type);
+    });
+  }
+  return buildCode(options, type);
+};
+
 exports.CodeGen = {
   getTypescriptCode: function(opts){
-    if (opts.swagger.swagger !== '2.0') {
-      throw 'Typescript is only supported for Swagger 2.0 specs.';
+    if (opts.swagger.swagger !== '2.0' && opts.swagger.openapi === undefined) {
+      throw 'Typescript is only supported for Swagger 2.0 and OpenAPI 3 specs.';
     }
     return getCode(opts, 'typescript');
   },
@@ -679,10 +900,25 @@ exports.CodeGen = {
   getNodeCode: function(opts){
     return getCode(opts, 'node');
   },
+  getNodeLegacyCode: function(opts){
+    return getCode(opts, 'node-legacy');
+  },
+  getMockServerCode: function(opts){
+    if (opts.swagger.swagger !== '2.0' && opts.swagger.openapi === undefined) {
+      throw 'Mock servers are only supported for Swagger 2.0 and OpenAPI 3 specs.';
+    }
+    return getCode(opts, 'mock');
+  },
   getReactCode: function(opts){
     return getCode(opts, 'react');
   },
   getCustomCode: function(opts){
     return getCode(opts, 'custom');
+  },
+  getView: function(opts, type){
+    return getView(_.cloneDeep(opts), type || 'typescript');
+  },
+  writeFiles: function(files, path){
+    return writer.write(files, path);
   }
 };
@@ -0,0 +1,173 @@
+'use strict';
+
+const fs = require('fs');
+const nodePath = require('path');
+const yaml = require('js-yaml').safeLoad;
+const CodeGen = require('./codegen').CodeGen;
+
+// names of the configuration file, looked up in the working directory
+const configFiles = ['swagger-codegen.config.js', 'swagger-codegen.config.json'];
+
+// generator of each code type
+const generators = {
+  typescript: 'getTypescriptCode',
+  angular: 'getAngularCode',
+  node: 'getNodeCode',
+  'node-legacy': 'getNodeLegacyCode',
+  mock: 'getMockServerCode',
+  react: 'getReactCode',
+  custom: 'getCustomCode',
+};
+
+// extension of the file written in an '--out' directory, for a single class
+const extensions = {
+  typescript: '.ts',
+};
+
+/**
+ * Find the configuration file of a directory
+ * @param {string} dir - directory to look into
+ * @returns {string|undefined} - path of the first configuration file found
+ */
+function find(dir) {
+  return configFiles.map(file => nodePath.resolve(dir, file)).find(file => fs.existsSync(file));
+}
+
+/**
+ * Resolve a path of a configuration file, or of the command line, relative to a directory
+ * @param {string} dir - directory of the configuration file
+ * @param {string} [file] - path to resolve
+ * @returns {string|undefined}
+ */
+function resolve(dir, file) {
+  return file === undefined ? undefined : nodePath.resolve(dir, file);
+}
+
+/**
+ * Jobs of a configuration, every job is the options of one generation
+ * The options of the 'defaults' are shared by every job, the options of a spec entry by the jobs of the spec:
+ * { defaults: { ... }, specs: [{ spec: 'api/pets.yaml', ...options, jobs: [{ type: 'node', out: 'client.js' }, ...] }] }
+ * The 'spec', 'out' and 'template' paths are relative to the directory of the configuration
+ * @param {object} config - content of the configuration file
+ * @param {string} dir - directory of the configuration file
+ * @returns {array} - options of every job
+ */
+function getJobs(config, dir) {
+  if (!config || !Array.isArray(config.specs)) {
+    throw new Error('Invalid configuration: \'specs\' should list the specs and their jobs');
+  }
+  const jobs = [];
+  config.specs.forEach((entry, s) => {
+    if (!entry || typeof entry.spec !== 'string') {
+      throw new Error(`Invalid configuration: specs[${s}] has no 'spec'`);
+    }
+    if (!Array.isArray(entry.jobs) || entry.jobs.length === 0) {
+      throw new Error(`Invalid configuration: specs[${s}] has no 'jobs'`);
+    }
+    const shared = Object.assign({}, config.defaults);
+    Object.keys(entry).filter(key => key !== 'jobs').forEach((key) => {
+      shared[key] = entry[key];
+    });
+    entry.jobs.forEach((job) => {
+      const options = Object.assign({}, shared, job);
+      options.spec = resolve(dir, options.spec);
+      options.out = resolve(dir, options.out);
+      if (options.template) {
+        const template = {};
+        Object.keys(options.template).forEach((name) => {
+          template[name] = resolve(dir, options.template[name]);
+        });
+        options.template = template;
+      }
+      jobs.push(options);
+    });
+  });
+  return jobs;
+}
+
+/**
+ * Load the jobs of a configuration file, a CommonJS module or a JSON file
+ * @param {string} file - path of the configuration file
+ * @returns {array} - options of every job
+ */
+function load(file) {
+  const path = nodePath.resolve(file);
+  const config = nodePath.extname(path) === '.js' ? require(path) : JSON.parse(fs.readFileSync(path, 'utf-8'));
+  return getJobs(config, nodePath.dirname(path));
+}
+
+/**
+ * Read a JSON or YAML document
+ * @param {string} file - path of the document
+ * @returns {object}
+ */
+function readSpec(file) {
+  const content = fs.readFileSync(file, 'utf-8');
+  try {
+    return JSON.parse(content);
+  } catch (e) {
+    return yaml(content);
+  }
+}
+
+/**
+ * Run a job
+ * - 'spec': path of the document, 'type': code type (typescript by default), 'template': paths of the templates
+ * - 'out': file (or directory) of a single class, destination directory of a multi-class generation
+ * - every other option is passed to the generator
+ * A single class without 'out' is returned, the files are written otherwise
+ * @param {object} job - options of the job
+ * @returns {Promise} - resolves with the generated code, or with the paths of the written files
+ */
+function run(job) {
+  return Promise.resolve().then(() => {
+    const type = job.type || 'typescript';
+    if (!generators[type]) {
+      throw new Error(`Unsupported type: ${type}, use one of ${Object.keys(generators).join(', ')}`);
+    }
+    if (!job.spec) {
+      throw new Error('No spec to generate from');
+    }
+
+    const options = Object.assign({}, job, {
+      swagger: readSpec(job.spec),
+      swaggerPath: job.spec,
+    });
+    delete options.spec;
+    delete options.type;
+    delete options.out;
+    if (job.template) {
+      options.template = {};
+      Object.keys(job.template).forEach((name) => {
+        options.template[name] = fs.readFileSync(job.template[name], 'utf-8');
+      });
+    }
+
+    if (options.multiple) {
+      options.path = job.out || process.cwd();
+      return CodeGen[generators[type]](options).then(files =>
+        Object.keys(files).map(file => nodePath.resolve(options.path, file)));
+    }
+
+    const source = CodeGen[generators[type]](options);
+    if (!job.out) {
+      return source;
+    }
+    const isDirectory = fs.existsSync(job.out) && fs.statSync(job.out).isDirectory();
+    const destination = isDirectory ? nodePath.join(job.out, (options.className || 'Test') + (extensions[type] || '.js')) : job.out;
+    CodeGen.writeFiles({ [nodePath.basename(destination)]: source }, nodePath.dirname(destination));
+    return [destination];
+  }).catch((err) => {
+    throw err instanceof Error ? err : new Error(err);
+  });
+}
+
+module.exports = {
+  configFiles,
+  find,
+  generators,
+  getJobs,
+  load,
+  readSpec,
+  run,
+};
@@ -0,0 +1,279 @@
+'use strict';
+
+const _ = require('lodash');
+const CodeGen = require('./codegen').CodeGen;
+
+/**
+ * Plain structure of a type of the view, the references are replaced by their definition (once per branch)
+ * @param {object} tsType - type of the view, see typescript.convertType
+ * @param {object} definitions - { <name>: type } of the view
+ * @param {array} [seen] - definitions being expanded
+ * @returns {object}
+ */
+function normalize(tsType, definitions, seen = []) {
+  if (!tsType) {
+    return { type: 'none' };
+  }
+  let type;
+  if (tsType.isRef) {
+    const name = tsType.target + (tsType.targetSuffix || '');
+    type = seen.indexOf(name) !== -1 || !definitions[name] ?
+      { type: 'ref', name } :
+      normalize(definitions[name], definitions, seen.concat(name));
+  } else if (tsType.isEnum) {
+    type = { type: 'enum', values: tsType.enumValues };
+  } else if (tsType.isObject) {
+    const properties = {};
+    (tsType.properties || []).forEach((property) => {
+      properties[property.name] = { optional: property.optional !== false, type: normalize(property, definitions, seen) };
+    });
+    type = { type: 'object', properties, additional: tsType.additionalType ? normalize(tsType.additionalType, definitions, seen) : null };
+  } else if (tsType.isArray) {
+    type = { type: 'array', items: normalize(tsType.elementType, definitions, seen) };
+  } else if (tsType.isTuple) {
+    type = { type: 'tuple', items: tsType.elementTypes.map(element => normalize(element, definitions, seen)) };
+  } else if (tsType.isUnion) {
+    type = { type: 'union', variants: _.sortBy(tsType.unionTypes.map(variant => normalize(variant, definitions, seen)), JSON.stringify) };
+  } else {
+    type = { type: tsType.tsType };
+  }
+  return tsType.isNullable ? Object.assign({ nullable: true }, type) : type;
+}
+
+/**
+ * Short description of a normalized type
+ * @param {object} type - normalized type
+ * @returns {string}
+ */
+function describe(type) {
+  let name = type.type;
+  if (type.type === 'ref') {
+    name = type.name;
+  } else if (type.type === 'enum') {
+    name = type.values.map(JSON.stringify).join(' | ');
+  } else if (type.type === 'array') {
+    name = `Array<${describe(type.items)}>`;
+  } else if (type.type === 'tuple' || type.type === 'union') {
+    name = type.type;
+  }
+  return type.nullable ? `?${name}` : name;
+}
+
+/**
+ * Whether a normalized type accepts null
+ * @param {object} type - normalized type
+ * @returns {boolean}
+ */
+function isNullable(type) {
+  return type.nullable === true;
+}
+
+/**
+ * Differences between two versions of a type
+ * A request type breaks the clients when it accepts less, a response type when it returns more than before
+ * @param {object} before - normalized type of the old version
+ * @param {object} after - normalized type of the new version
+ * @param {string} direction - 'request' or 'response'
+ * @param {string} location - where the type is, i.e. 'body.name'
+ * @returns {array} - [{ breaking, code, location, message }]
+ */
+function compareTypes(before, after, direction, location) {
+  if (_.isEqual(before, after)) {
+    return [];
+  }
+  const isRequest = direction === 'request';
+  const change = (breaking, code, message) => [{ breaking, code, location, message }];
+
+  if (before.type === 'enum' && after.type === 'enum' && isNullable(before) === isNullable(after)) {
+    const removed = _.differenceWith(before.values, after.values, _.isEqual);
+    const added = _.differenceWith(after.values, before.values, _.isEqual);
+    const changes = [];
+    if (removed.length > 0) {
+      changes.push({ breaking: isRequest, code: 'enum-narrowed', location, message: `${isRequest ? 'no longer accepts' : 'no longer returns'} ${removed.map(JSON.stringify).join(', ')}` });
+    }
+    if (added.length > 0) {
+      changes.push({ breaking: !isRequest, code: 'enum-widened', location, message: `${isRequest ? 'now accepts' : 'may now return'} ${added.map(JSON.stringify).join(', ')}` });
+    }
+    return changes;
+  }
+
+  if (before.type === 'object' && after.type === 'object' && isNullable(before) === isNullable(after) &&
+    _.isEqual(before.additional, after.additional)) {
+    const changes = [];
+    Object.keys(before.properties).forEach((name) => {
+      const path = `${location}.${name}`;
+      const old = before.properties[name];
+      const current = after.properties[name];
+      if (!current) {
+        changes.push({ breaking: true, code: 'property-removed', location: path, message: 'was removed' });
+        return;
+      }
+      if (old.optional && !current.optional) {
+        changes.push({ breaking: isRequest, code: 'property-required', location: path, message: 'is now required' });
+      } else if (!old.optional && current.optional) {
+        changes.push({ breaking: !isRequest, code: 'property-optional', location: path, message: 'is now optional' });
+      }
+      Array.prototype.push.apply(changes, compareTypes(old.type, current.type, direction, path));
+    });
+    Object.keys(after.properties).filter(name => !before.properties[name]).forEach((name) => {
+      const required = !after.properties[name].optional;
+      changes.push({
+        breaking: isRequest && required,
+        code: 'property-added',
+        location: `${location}.${name}`,
+        message: required ? 'was added as required' : 'was added',
+      });
+    });
+    return changes;
+  }
+
+  if (before.type === 'array' && after.type === 'array' && isNullable(before) === isNullable(after)) {
+    return compareTypes(before.items, after.items, direction, `${location}[]`);
+  }
+
+  return change(true, 'type-changed', `type changed from ${describe(before)} to ${describe(after)}`);
+}
+
+/**
+ * Key of an operation, the names of the path parameters do not matter
+ * @param {object} method - method of the view
+ * @returns {string}
+ */
+function getKey(method) {
+  return `${method.method} ${method.path.replace(/\{[^}]*\}/g, '{}')}`;
+}
+
+/**
+ * Differences between the parameters of two versions of an operation
+ * @param {object} before - method of the old view
+ * @param {object} after - method of the new view
+ * @param {object} definitions - { before, after } definitions of the views
+ * @returns {array}
+ */
+function compareParameters(before, after, definitions) {
+  const changes = [];
+  const getParameters = method => _.keyBy(method.parameters, parameter => `${parameter.in}:${parameter.name}`);
+  const old = getParameters(before);
+  const current = getParameters(after);
+
+  Object.keys(old).forEach((key) => {
+    const parameter = old[key];
+    const location = `parameters.${parameter.name}`;
+    if (!current[key]) {
+      changes.push({ breaking: true, code: 'parameter-removed', location, message: `${parameter.in} parameter was removed` });
+      return;
+    }
+    if (!parameter.required && current[key].required) {
+      changes.push({ breaking: true, code: 'parameter-required', location, message: 'is now required' });
+    } else if (parameter.required && !current[key].required) {
+      changes.push({ breaking: false, code: 'parameter-optional', location, message: 'is now optional' });
+    }
+    Array.prototype.push.apply(changes, compareTypes(normalize(parameter.tsType, definitions.before),
+      normalize(current[key].tsType, definitions.after), 'request', location));
+  });
+  Object.keys(current).filter(key => !old[key]).forEach((key) => {
+    const parameter = current[key];
+    changes.push({
+      breaking: parameter.required === true,
+      code: 'parameter-added',
+      location: `parameters.${parameter.name}`,
+      message: parameter.required ? `required ${parameter.in} parameter was added` : `${parameter.in} parameter was added`,
+    });
+  });
+  return changes;
+}
+
+/**
+ * Differences between the responses of two versions of an operation
+ * Removing a success response breaks the clients, removing an error response does not
+ * @param {object} before - method of the old view
+ * @param {object} after - method of the new view
+ * @param {object} definitions - { before, after } definitions of the views
+ * @returns {array}
+ */
+function compareResponses(before, after, definitions) {
+  const changes = [];
+  const old = _.keyBy(before.responseTypes || [], 'statusCode');
+  const current = _.keyBy(after.responseTypes || [], 'statusCode');
+
+  Object.keys(old).forEach((status) => {
+    const location = `responses.${status}`;
+    if (!current[status]) {
+      changes.push({ breaking: old[status].isSuccess, code: 'response-removed', location, message: 'was removed' });
+      return;
+    }
+    Array.prototype.push.apply(changes, compareTypes(normalize(old[status].tsType, definitions.before),
+      normalize(current[status].tsType, definitions.after), 'response', location));
+  });
+  Object.keys(current).filter(status => !old[status]).forEach((status) => {
+    changes.push({ breaking: false, code: 'response-added', location: `responses.${status}`, message: 'was added' });
+  });
+  return changes;
+}
+
+/**
+ * Changes between two views of a document
+ * @param {object} before - view of the old version, see CodeGen.getView
+ * @param {object} after - view of the new version
+ * @returns {array} - [{ breaking, code, operation, methodName, location, message }], the breaking changes first
+ */
+function compare(before, after) {
+  const definitions = {
+    before: _.mapValues(_.keyBy(before.definitions, 'name'), 'tsType'),
+    after: _.mapValues(_.keyBy(after.definitions, 'name'), 'tsType'),
+  };
+  const old = _.keyBy(before.methods, getKey);
+  const current = _.keyBy(after.methods, getKey);
+  const changes = [];
+  const add = (method, list) => list.forEach((change) => {
+    changes.push(Object.assign({ operation: `${method.method} ${method.path}`, methodName: method.methodName }, change));
+  });
+
+  Object.keys(old).forEach((key) => {
+    const method = old[key];
+    if (!current[key]) {
+      add(method, [{ breaking: true, code: 'operation-removed', location: '', message: 'operation was removed' }]);
+      return;
+    }
+    const list = [];
+    if (method.methodName !== current[key].methodName) {
+      list.push({ breaking: true, code: 'method-renamed', location: '', message: `method ${method.methodName} was renamed to ${current[key].methodName}` });
+    }
+    add(current[key], list.concat(compareParameters(method, current[key], definitions), compareResponses(method, current[key], definitions)));
+  });
+  Object.keys(current).filter(key => !old[key]).forEach((key) => {
+    add(current[key], [{ breaking: false, code: 'operation-added', location: '', message: 'operation was added' }]);
+  });
+
+  return _.sortBy(changes, change => (change.breaking ? 0 : 1));
+}
+
+/**
+ * Changes between two versions of a document
+ * @param {object} before - old version: { swagger, swaggerPath }
+ * @param {object} after - new version: { swagger, swaggerPath }
+ * @returns {array} - see compare()
+ */
+function diff(before, after) {
+  return compare(CodeGen.getView(before), CodeGen.getView(after));
+}
+
+/**
+ * Lines reporting the changes
+ * @param {array} changes - result of compare()
+ * @returns {array}
+ */
+function format(changes) {
+  return changes.map((change) => {
+    const location = change.location ? ` ${change.location}` : '';
+    return `${change.breaking ? 'BREAKING' : 'non-breaking'}: ${change.operation} (${change.methodName})${location} ${change.message}`;
+  });
+}
+
+module.exports = {
+  compare,
+  compareTypes,
+  diff,
+  format,
+  normalize,
+};
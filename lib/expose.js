@@ -1,77 +1,210 @@
 const beauty = require('js-beautify').js;
 const fs = require('fs');
-const { inspect } = require('util');
+const resolver = require('./resolver');
 
 /**
- * Expose definitions objects, create files with objects
+ * Build the module checking the definitions against their schemas, shared by every definition class
+ * @param {object} definitions - object that contain definitions objects
+ * @returns {string}
+ */
+function buildValidator(definitions) {
+  const validator = fs.readFileSync(`${__dirname}/../templates/validator.mustache`, 'utf-8');
+  return beauty(`/* auto-generated: validator.js */
+    const validationSchemas = ${JSON.stringify(definitions)};
+
+    ${validator}
+
+    module.exports = {
+      validateValue,
+      validationError,
+    };`, { indent_size: 2, end_with_newline: true });
+}
+
+// converters used when no other converter is configured: date-time parameters lose their 'T' and 'Z', as they always did
+const defaultConverters = {
+  'date-time': 'datetime-text',
+};
+
+/**
+ * Build the module of the converters, called by name by the definition classes
+ * @returns {string}
+ */
+function buildConverters() {
+  return beauty(fs.readFileSync(`${__dirname}/../templates/converters.mustache`, 'utf-8'),
+    { indent_size: 2, end_with_newline: true });
+}
+
+/**
+ * Name of the converter of a property
+ * The 'x-converter' extension of the property wins, then the vendor extensions, the format and the type of the property
+ * that are keys of the mapping (a null converter keeps the value as it is)
+ * @param {object} property - schema of the property
+ * @param {object} mapping - { <x-extension|format|type>: <name of the converter> }
+ * @returns {string|undefined}
+ */
+function getConverter(property, mapping) {
+  if (property['x-converter']) {
+    return property['x-converter'];
+  }
+  const extension = Object.keys(mapping).find(key => key.indexOf('x-') === 0 && property[key]);
+  const key = [extension, property.format, property.type].find(candidate => candidate && mapping.hasOwnProperty(candidate));
+  return key ? mapping[key] || undefined : undefined;
+}
+
+/**
+ * Build the registry of the definition classes and of the FieldValidator
+ * @returns {string}
+ */
+function buildRegistry() {
+  return beauty(fs.readFileSync(`${__dirname}/../templates/registry.mustache`, 'utf-8'),
+    { indent_size: 2, end_with_newline: true });
+}
+
+/**
+ * Values of the 'x-AuthFieldType' extension, in the properties of the definitions and in the parameters of the methods
+ * @param {object} definitions - object that contain definitions objects
+ * @param {array} methods - array of the available methods
+ * @returns {array} - sorted and unique values
+ */
+function getAuthFieldTypes(definitions, methods) {
+  const types = [];
+  Object.keys(definitions).forEach((definition) => {
+    const properties = definitions[definition].properties || {};
+    Object.keys(properties).forEach((property) => {
+      types.push((properties[property] || {})['x-AuthFieldType']);
+    });
+  });
+  methods.forEach((method) => {
+    (method.parameters || []).forEach((parameter) => {
+      const type = parameter['x-AuthFieldType'];
+      types.push(type && typeof type === 'object' ? type.value : type);
+    });
+  });
+  return types.filter(type => typeof type === 'string')
+    .filter((type, index, list) => list.indexOf(type) === index)
+    .sort();
+}
+
+/**
+ * Build the interface of the FieldValidator, to implement and register with setFieldValidator() of the registry
+ * @param {array} types - values of the 'x-AuthFieldType' extension
+ * @returns {string}
+ */
+function buildFieldValidator(types) {
+  const listed = types.length > 0 ? types.map(type => `* - ${type}`).join('\n') : '* (none)';
+  return beauty(`/* auto-generated: FieldValidator.js */
+    /**
+    * Interface of the FieldValidator, checking the fields marked with 'x-AuthFieldType'
+    * Implement its methods and register it: require('./index').setFieldValidator(new FieldValidator())
+    * or hand it to the controllers, which hand it to their definitions: new Controller({ fieldValidator })
+    * Types of the document:
+    ${listed}
+    */
+    module.exports = class FieldValidator {
+      /**
+      * Values of 'x-AuthFieldType' in the document
+      * @returns {array}
+      */
+      static get types() {
+        return ${JSON.stringify(types)};
+      }
+
+      /**
+      * Check a field, resolves with the value to use (a falsy value stops the controller method)
+      * The controllers call validate(type, value, req, res), the definitions validate(type, schemaType, value, req, res)
+      * @param {string} type - value of 'x-AuthFieldType'
+      * @returns {Promise}
+      */
+      async validate(type) {
+        throw new Error(\`FieldValidator.validate is not implemented: \${type}\`);
+      }
+
+      /**
+      * Check the identifier of an 'x-EntitySystem' definition, resolves with the value to use
+      * Called as validateByIdAndType(property, definitionType, value, req, res)
+      * @param {string} property - name of the identifier
+      * @returns {Promise}
+      */
+      async validateByIdAndType(property) {
+        throw new Error(\`FieldValidator.validateByIdAndType is not implemented: \${property}\`);
+      }
+    };`, { indent_size: 2, end_with_newline: true });
+}
+
+/**
+ * Build the index of the definitions, registering every definition class
+ * @param {array} list - names of the definitions
+ * @returns {string}
+ */
+function buildIndex(list) {
+  const registered = list.map(definition => `registry.registerClass('${definition}', require('./${definition}/${definition}'));`);
+  return beauty(`/* auto-generated: index.js */
+    const FieldValidator = require('./FieldValidator');
+    const registry = require('./registry');
+
+    ${registered.join('\n')}
+
+    module.exports = Object.assign({ FieldValidator }, registry);`, { indent_size: 2, end_with_newline: true });
+}
+
+/**
+ * Expose definitions objects, build a file for each object
  * @param {object} definitions - object that contain definitions objects
  * @param {array} methods - array of the available methods
- * @param {string} path - where to generate the files, resulting path will be path/<directory>
- * @param {string} directory - name of the directory
+ * @param {object} [converters] - converters of the properties, by vendor extension, format or type: { 'int64': 'bigint' }
+ * @returns {object} - { '<definition>/<definition>.js': content }, with the shared modules and the index of the definitions
  */
-function expose(definitions, methods, path, directory) {
+function build(definitions, methods, converters = {}) {
+  const files = {};
+  const mapping = Object.assign({}, defaultConverters, converters);
   try {
     // get list of the definitions
     const list = Object.keys(definitions);
 
+    // the controllers use the registry and the FieldValidator even without definitions
+    files['registry.js'] = buildRegistry();
+    files['FieldValidator.js'] = buildFieldValidator(getAuthFieldTypes(definitions, methods));
+    files['index.js'] = buildIndex(list);
+
     // do not proceed if there are no definitions
     if (list.length === 0) {
-      return console.log('> swagger-js-codegen @ No objects to expose!');
-    }
-
-    // make sure that ~/definitions directory exists
-    const container = `${path}/${directory}`;
-    if (!fs.existsSync(container)) {
-      fs.mkdirSync(container);
+      console.log('> swagger-js-codegen @ No objects to expose!');
+      return files;
     }
 
     // process definitions
-    list.forEach(async (definition) => {
+    list.forEach((definition) => {
       // bind the parameters
       let parameters = '';
-      const props = Object.keys(definitions[definition].properties);
+      const props = Object.keys(definitions[definition].properties || {});
       if (props.length && props.length > 0) {
         props.forEach((prop) => {
-          const { type,format } = definitions[definition].properties[prop];
-          if (type) {
-            if (type === 'string' && format === 'date-time') {
-              parameters = `${parameters}
-                  this.data['${prop}'] = params['${prop}'].replace(/T/, ' ').replace('Z', '');`;
-            }else if (type === 'array') {
-              const { items } = definitions[definition].properties[prop];
-              if (items) {
-                if (items['$ref']) {
-                  const refName = items['$ref'].split('/').slice(-1)[0];
-                  Array.isArray()
-                  parameters = `${parameters}
-                    this.data['${prop}'] = [];
-                    if(!params['${prop}'])params['${prop}'] = []
-                    if (params['${prop}'].length && params['${prop}'].length > 0) {
-                      params['${prop}'].forEach((object) => {
-                      const ${refName} = new global.classes['${refName}'](req, res, object);
-                      this.data.${prop}.push(${refName}.data);
-                    });
-                  }`;
-                } else {
-                  parameters = `${parameters}
-                    this.data['${prop}'] = params['${prop}'];`;
-                }
-              } else {
-                parameters = `${parameters}
-                  this.data['${prop}'] = params['${prop}'];`;
-              }
-            } else {
-              parameters = `${parameters}
-                this.data['${prop}'] = params['${prop}'];`;
-            }
-          } else {
-            if (definitions[definition].properties[prop]['$ref']) {
-              const refName = definitions[definition].properties[prop]['$ref'].split('/').slice(-1)[0];
-              parameters = `${parameters}
-                this['${refName}'] = new global.classes['${refName}'](req, res, params['${prop}']);
-                this.data['${prop}'] = this['${refName}'].data;
-                `;
-            }
+          const property = definitions[definition].properties[prop];
+          const { type } = property;
+          const converter = getConverter(property, mapping);
+          const assignment = converter ?
+            `this.data['${prop}'] = converters.convert('${converter}', params['${prop}']);` :
+            `this.data['${prop}'] = params['${prop}'];`;
+          if (type === 'array' && property.items && property.items['$ref'] && !converter) {
+            const refName = resolver.refName(property.items['$ref']);
+            parameters = `${parameters}
+              this.data['${prop}'] = [];
+              if(!params['${prop}'])params['${prop}'] = []
+              if (params['${prop}'].length && params['${prop}'].length > 0) {
+                params['${prop}'].forEach((object) => {
+                const item = new (registry.getClass('${refName}'))(req, res, object, options);
+                this.data['${prop}'].push(item.data);
+              });
+            }`;
+          } else if (type || converter) {
+            parameters = `${parameters}
+              ${assignment}`;
+          } else if (property['$ref']) {
+            const refName = resolver.refName(property['$ref']);
+            parameters = `${parameters}
+              this['${refName}'] = new (registry.getClass('${refName}'))(req, res, params['${prop}'], options);
+              this.data['${prop}'] = this['${refName}'].data;
+              `;
           }
         });
       }
@@ -81,7 +214,7 @@ function expose(definitions, methods, path, directory) {
       const secureForEntitySystem = [];
 
       if (!(definitions[definition].properties instanceof Array)) {
-        const properties = Object.keys(definitions[definition].properties);
+        const properties = Object.keys(definitions[definition].properties || {});
         const define = Object.keys(definitions[definition]);
 
         properties.forEach((property) => {
@@ -142,39 +275,48 @@ function expose(definitions, methods, path, directory) {
         });
       }
 
-      // add validation
-      let validation = '';
-      let validators = [];
-      let validatorsByIdAndType = [];
+      // add validation: the schema is checked first, every violation is listed with its path
+      const checks = [`const errors = validator.validateValue(this.schema, this.params, '${definition}', 'request', []);
+                if (errors.length > 0) {
+                  throw validator.validationError('Invalid ${definition}', errors);
+                }`];
+      const validators = [];
+      const validatorsByIdAndType = [];
       if (secure.length > 0) {
         secure.forEach((property) => {
           let origin = property.type;
           if (origin === 'path') { origin = 'req.params' } else { origin = 'this.data' };
-          validators.push(`${origin}['${property.property}'] = await global.FieldValidator.validate('${property.value}','${property.parameter_type}',${origin}['${property.property}'], this.req, this.res);`);
+          validators.push(`${origin}['${property.property}'] = await this.fieldValidator.validate('${property.value}','${property.parameter_type}',${origin}['${property.property}'], this.req, this.res);`);
         });
 
-        validation = `
-                async validate() {
-                  try {
+        // then the field validators
+        checks.push(`try {
                     ${validators.join('\n')}
                   } catch (error) {
                     console.log('validation error', error);
                     throw new Error(error.message);
-                  }
+                  }`);
+      }
+
+      let validation = `
+                /**
+                 * Check the parameters against the schema of ${definition}, then run the field validators
+                 * @throws {Error} - ValidationError listing every violation of the schema as { path, keyword, message }
+                 */
+                async validate() {
+                  ${checks.join('\n')}
                 }
               `;
-      }
 
       if (secureForEntitySystem.length > 0) {
         secureForEntitySystem.forEach((property) => {
           let origin = property.type;
           if (origin === 'path') { origin = 'req.params' } else { origin = 'this.data' };
-          validatorsByIdAndType.push(`${origin}['${props[0]}'] = await global.FieldValidator.validateByIdAndType('${props[0]}','${definitions[definition].type}',${origin}['${props[0]}'], this.req, this.res);`);
+          validatorsByIdAndType.push(`${origin}['${props[0]}'] = await this.fieldValidator.validateByIdAndType('${props[0]}','${definitions[definition].type}',${origin}['${props[0]}'], this.req, this.res);`);
 
         });
-        console.log(validatorsByIdAndType);
 
-        validation = `
+        validation = `${validation}
                 async validateByIdAndType() {
                   try {
                     ${validatorsByIdAndType.join('\n')}
@@ -186,42 +328,47 @@ function expose(definitions, methods, path, directory) {
               `;
       }
 
-
-
-
       // compile the file
       const content = `/* auto-generated: ${definition}.js */
+        const converters = require('../converters');
+        const registry = require('../registry');
+        const validator = require('../validator');
 
         module.exports = class {
-          constructor(req = {}, res = {}, params = {}) {
+          /**
+           * @param {object} [options] - options of the controller, 'fieldValidator' replaces the FieldValidator of the registry
+           */
+          constructor(req = {}, res = {}, params = {}, options = {}) {
             this.req = req;
             this.res = res;
             this.params = params;
+            this.options = options;
             this.data = {};
             ${parameters}
-            this.schema = ${inspect(definitions[definition], { showHidden: false, depth: null })};
+            this.schema = ${JSON.stringify(definitions[definition])};
+          }
+
+          /**
+           * FieldValidator checking the x-AuthFieldType properties
+           * @returns {object}
+           */
+          get fieldValidator() {
+            return this.options.fieldValidator || registry.getFieldValidator();
           }
           ${validation}
         };`;
 
-      // make sure that destination definition directory exists
-      const destination = `${container}/${definition}`;
-      if (!fs.existsSync(destination)) {
-        fs.mkdirSync(destination);
-      }
-
-      // create file in the destination folder
-      fs.writeFileSync(`${destination}/${definition}.js`,
-        beauty(content, { indent_size: 2 }),
-        (err) => {
-          if (err) {
-            throw new Error(err.message || err);
-          }
-        });
+      files[`${definition}/${definition}.js`] = beauty(content, { indent_size: 2 });
     });
+
+    files['converters.js'] = buildConverters();
+    files['validator.js'] = buildValidator(definitions);
   } catch (err) {
     throw new Error(err.message || err);
   }
+  return files;
 }
 
-module.exports = expose;
+module.exports = {
+  build,
+};
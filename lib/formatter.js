@@ -1,6 +1,48 @@
 const { inspect } = require('util');
 const _ = require('lodash');
 
+const { getFramework } = require('./frameworks');
+
+/**
+ * Build the example of a polymorphic (oneOf / anyOf) schema from its first concrete variant
+ * @param {string} name - name of the entry the schema belongs to
+ * @param {object} tsType - union type
+ * @param {array} definitions - all of the definitions
+ * @param {number} status - response status
+ * @returns {*}
+ */
+function variantBuilder(name, tsType, definitions, status) {
+  const variant = tsType.unionTypes.find(type => type.tsType !== 'null') || tsType.unionTypes[0];
+  let response = {};
+
+  if (variant.isRef) {
+    const definition = definitions.find(def => def.name === variant.target);
+    if (definition && definition.name !== name) {
+      response = responseBuilder(definition, definitions, status);
+    }
+  } else if (variant.isObject || variant.isUnion) {
+    response = responseBuilder({ name, tsType: variant }, definitions, status);
+  } else if (variant.tsType === 'string') {
+    return 'string';
+  } else if (variant.tsType === 'number') {
+    return 0;
+  } else if (variant.tsType === 'boolean') {
+    return false;
+  } else {
+    return variant.isEnum ? variant.enumValues[0] : null;
+  }
+
+  // properties shared by every variant
+  if (tsType.baseType) {
+    response = Object.assign(responseBuilder({ name, tsType: tsType.baseType }, definitions, status), response);
+  }
+  // make sure the discriminator property selects the variant
+  if (variant.discriminatorTag) {
+    response[variant.discriminatorTag.propertyName] = variant.discriminatorTag.value;
+  }
+  return response;
+}
+
 /**
  * Parse nested schemas to build the proper response structure
  * @param {object} entry - entry definition object
@@ -18,6 +60,11 @@ function responseBuilder(entry, definitions, status) {
       return response;
     }
 
+    // polymorphic schema: use one of its variants
+    if (tsType.isUnion) {
+      return variantBuilder(entry.name, tsType, definitions, status);
+    }
+
     // process properties
     const { properties } = tsType || {};
     if (properties && properties.length > 0) {
@@ -42,6 +89,14 @@ function responseBuilder(entry, definitions, status) {
           response[property.name] = property.example || 0;
         }
 
+        if (property.tsType === 'boolean') {
+          response[property.name] = property.example !== undefined ? property.example : false;
+        }
+
+        if (property.isEnum) {
+          response[property.name] = property.example || property.enumValues[0];
+        }
+
         if (property.tsType === 'array') {
           // use provided example if any
           if (property.example) {
@@ -66,6 +121,10 @@ function responseBuilder(entry, definitions, status) {
           }
         }
 
+        if (property.tsType === 'union') {
+          response[property.name] = property.example || variantBuilder(entry.name, property, definitions, status);
+        }
+
         // just in case...
         if (property.tsType === 'object') {
           response[property.name] = property.example || {};
@@ -88,19 +147,82 @@ function responseBuilder(entry, definitions, status) {
   }
 }
 
+/**
+ * Build the example of any type: references, arrays, unions, objects and atomic types
+ * @param {object} tsType - type model, see typescript.convertType
+ * @param {array} definitions - all of the definitions
+ * @param {number} status - response status
+ * @param {array} [seen] - definitions being built, a definition referencing itself gets an empty value
+ * @returns {*}
+ */
+function exampleBuilder(tsType, definitions, status, seen = []) {
+  if (!tsType) {
+    return null;
+  }
+  if (tsType.isRef) {
+    const definition = definitions.find(def => def.name === tsType.target + tsType.targetSuffix) ||
+        definitions.find(def => def.name === tsType.target);
+    if (!definition || seen.indexOf(definition.name) !== -1) {
+      return null;
+    }
+    return exampleBuilder(definition.tsType, definitions, status, seen.concat(definition.name));
+  }
+  if (tsType.isArray) {
+    const item = exampleBuilder(tsType.elementType, definitions, status, seen);
+    return item === null ? [] : [item];
+  }
+  if (tsType.isTuple) {
+    return tsType.elementTypes.map(type => exampleBuilder(type, definitions, status, seen));
+  }
+  if (tsType.isUnion) {
+    return variantBuilder(seen[seen.length - 1] || '', tsType, definitions, status);
+  }
+  if (tsType.isObject) {
+    return tsType.isMap ? {} : responseBuilder({ name: seen[seen.length - 1] || '', tsType }, definitions, status);
+  }
+  if (tsType.isEnum) {
+    return tsType.enumValues[0];
+  }
+  if (tsType.tsType === 'string') {
+    return 'string';
+  }
+  if (tsType.tsType === 'number') {
+    return 0;
+  }
+  if (tsType.tsType === 'boolean') {
+    return false;
+  }
+  return tsType.tsType === 'null' ? null : {};
+}
+
+/**
+ * Name of the definition a response returns: the reference of its JSON schema, or of the items of its array schema
+ * @param response - response of the method, with a Swagger 2 'schema' or an OpenAPI 3 'content'
+ * @returns {string|undefined} - undefined when the response does not return a definition
+ */
+function getResponseRef(response) {
+  const media = response.content ? response.content['application/json'] : response;
+  const schema = (media && media.schema) || {};
+  const ref = schema.items ? schema.items['$ref'] : schema['$ref'];
+  return typeof ref === 'string' ? ref.split('/').slice(-1)[0] : undefined;
+}
+
 /**
  * Format the responses for the APIs
  * @param data - initial data, that should have all of the necessary methods and schemas
+ * @param framework - server framework of the controllers: 'fastify' (default), 'express', 'koa' or 'http'
  * @returns {object}
  */
-function format(data) {
+function format(data, framework) {
   try {
+    const idioms = getFramework(framework);
+    const { send } = idioms;
     const { methods, definitions } = data;
     const objects = [];
 
     // check if there are none
     if (!(methods && methods.length > 0 && definitions && definitions.length > 0)) {
-      return new Error('Methods and definitions should not be empty!');
+      throw new Error('Methods and definitions should not be empty!');
     }
 
     const mutable = _.cloneDeep(data);
@@ -108,7 +230,7 @@ function format(data) {
     // locate all of the protected properties
     const secure = [];
     definitions.forEach((definition) => {
-      definition.tsType.properties.forEach((property) => {
+      (definition.tsType.properties || []).forEach((property) => {
         if (property['x-AuthFieldType']) {
           secure.push({
             parameterName: definition.name,
@@ -126,28 +248,14 @@ function format(data) {
       if (list.length > 0) {
         list.forEach((response) => {
           formatted[response] = method.responses[response];
-          if (formatted[response].schema) {
-            const refName = formatted[response].schema.items ?
-                formatted[response].schema.items['$ref'].split('/').slice(-1)[0] :
-                formatted[response].schema['$ref'].split('/').slice(-1)[0];
-            definitions.forEach((definition) => {
-              // copy properties
-              if (refName === definition.name) {
-                formatted[response].properties = definition.tsType.properties;
-                formatted[response].status = Number(response) || null;
-              }
-            });
-          }
-          if (formatted[response].content) {
-            const refName = formatted[response].content['application/json'].schema['$ref'].split('/').slice(-1)[0];
-            definitions.forEach((definition) => {
-              // copy properties
-              if (refName === definition.name) {
-                formatted[response].properties = definition.tsType.properties;
-                formatted[response].status = Number(response) || null;
-              }
-            });
-          }
+          const refName = getResponseRef(formatted[response]);
+          definitions.forEach((definition) => {
+            // copy properties
+            if (refName === definition.name) {
+              formatted[response].properties = definition.tsType.properties;
+              formatted[response].status = Number(response) || null;
+            }
+          });
         });
       }
 
@@ -185,46 +293,35 @@ function format(data) {
       // generate the code
       list.forEach((response) => {
         let responseObject = {};
-        if (formatted[response].content) {
-          const ref = formatted[response].content['application/json'].schema['$ref']
-          definitions.forEach((def) => {
-            if (def.name === ref) {
-              responseObject = responseBuilder(def, definitions, formatted[response].status);
-            }
-          });
-        }
-        if (formatted[response].schema) {
-          const ref = formatted[response].schema.items ?
-              formatted[response].schema.items['$ref'].split('/').slice(-1)[0] :
-              formatted[response].schema['$ref'].split('/').slice(-1)[0];
-          definitions.forEach((def) => {
-            if (def.name === ref) {
-              responseObject = responseBuilder(def, definitions, formatted[response].status);
-            }
-          });
-        }
-        if (formatted[response].content) {
-          const ref = formatted[response].content['application/json'].schema['$ref'].split('/').slice(-1)[0];
-          definitions.forEach((def) => {
-            if (def.name === ref) {
-              responseObject = responseBuilder(def, definitions, formatted[response].status);
-            }
-          });
-        }
-
+        const ref = getResponseRef(formatted[response]);
+        definitions.forEach((def) => {
+          if (def.name === ref) {
+            responseObject = responseBuilder(def, definitions, formatted[response].status);
+          }
+        });
 
-        const isErr = formatted[response].status >= 400 ? 'err' : 'null';
-        formatted[response].code = `res.code(${formatted[response].status}).send(`
-            + `${inspect(responseObject, { showHidden: false, depth: null })}, ${isErr});`;
+        formatted[response].code = send(formatted[response].status,
+            inspect(responseObject, { showHidden: false, depth: null }));
       });
 
       // add the code to the resulting object
       mutable.methods[i].responses = formatted;
+      mutable.methods[i].errorCode = send(500, `{
+        Status: 500,
+        Message: 'Error in ${method.methodName}',
+        Description: error.message,
+      }`);
     });
 
     // add objects
     mutable.objects = objects;
 
+    // idioms of the framework, used by the templates
+    mutable.framework = Object.assign(_.omit(idioms, 'send'), {
+      isKoa: idioms.name === 'koa',
+      sendResults: send('results.Status', 'results'),
+    });
+
     // fix x-AuthFieldType TODO: need to rewrite it properly
     mutable.methods.forEach((method, m) => {
       method.parameters.forEach((parameter, p) => {
@@ -247,5 +344,7 @@ function format(data) {
 }
 
 module.exports = {
+  exampleBuilder,
   format,
+  responseBuilder,
 };
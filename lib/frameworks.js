@@ -0,0 +1,66 @@
+'use strict';
+
+const json = '{ \'Content-Type\': \'application/json\' }';
+
+/**
+ * Idioms of the server frameworks targeted by the multi-mode controllers
+ * - signature: parameters of the controller methods
+ * - context: request and response objects handed to the definitions and to the FieldValidator
+ * - params, query, body, headers: where the parameters of a call are
+ * - send: code sending a status and a body
+ */
+const frameworks = {
+  fastify: {
+    signature: 'req, res',
+    context: 'req, res',
+    params: 'req.params',
+    query: 'req.query',
+    body: 'req.body',
+    headers: 'req.headers',
+    send: (status, body) => `res.code(${status}).send(${body});`,
+  },
+  express: {
+    signature: 'req, res',
+    context: 'req, res',
+    params: 'req.params',
+    query: 'req.query',
+    body: 'req.body',
+    headers: 'req.headers',
+    send: (status, body) => `res.status(${status}).json(${body});`,
+  },
+  koa: {
+    signature: 'ctx, next',
+    context: 'ctx, ctx',
+    params: 'ctx.params',
+    query: 'ctx.query',
+    body: 'ctx.request.body',
+    headers: 'ctx.headers',
+    send: (status, body) => `ctx.status = ${status}; ctx.body = ${body};`,
+  },
+  http: {
+    signature: 'req, res',
+    context: 'req, res',
+    params: 'req.params',
+    query: 'req.query',
+    body: 'req.body',
+    headers: 'req.headers',
+    send: (status, body) => `res.writeHead(${status}, ${json}); res.end(JSON.stringify(${body}));`,
+  },
+};
+
+/**
+ * Get the idioms of a framework
+ * @param {string} [name] - 'fastify' (default), 'express', 'koa' or 'http'
+ * @returns {object}
+ */
+function getFramework(name) {
+  const framework = frameworks[name || 'fastify'];
+  if (!framework) {
+    throw new Error(`Unsupported framework: ${name}, use one of ${Object.keys(frameworks).join(', ')}`);
+  }
+  return Object.assign({ name: name || 'fastify' }, framework);
+}
+
+module.exports = {
+  getFramework,
+};
@@ -0,0 +1,59 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Names of the controllers of an operation, for each grouping strategy
+ * - tag: first tag of the operation (default)
+ * - x-controller: 'x-controller' extension of the operation, or of its path
+ * - path: first literal segment of the path, '/pets/{petId}' belongs to 'pets'
+ */
+const strategies = {
+  tag: op => (op.tags || []).slice(0, 1),
+  'x-controller': (op, path, api) => [op['x-controller'] || api['x-controller']].filter(name => name),
+  path: (op, path) => path.split('/').filter(segment => segment !== '' && !/^\{.*\}$/.test(segment)).slice(0, 1),
+};
+
+/**
+ * Convert a tag (or any controller name) to a name that is safe for files, directories and identifiers
+ * 'Pet Store' and 'pet_store' become 'pet-store'
+ * @param {string} name - name of the controller
+ * @returns {string} - empty when nothing is left
+ */
+function sanitize(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Controllers of an operation
+ * @param {object} op - operation
+ * @param {string} path - path of the operation
+ * @param {object} api - path item holding the operation
+ * @param {object} opts - generation options: 'grouping' (strategy) and 'fallbackController'
+ * @returns {array} - sanitized and unique names, the fallback controller when the strategy finds none
+ */
+function getDestinations(op, path, api, opts) {
+  const strategy = strategies[opts.grouping || 'tag'];
+  // a route reaches a single controller, the copies of an operation in the other controllers could never be called
+  if (opts.grouping === 'tags') {
+    throw new Error('Unsupported grouping: tags, an operation is routed to a single controller, use tag, x-controller or path');
+  }
+  if (!strategy) {
+    throw new Error(`Unsupported grouping: ${opts.grouping}, use one of ${Object.keys(strategies).join(', ')}`);
+  }
+  const destinations = _.uniq(strategy(op, path, api).map(sanitize).filter(name => name !== ''));
+  if (destinations.length > 0) {
+    return destinations;
+  }
+  const fallback = sanitize(opts.fallbackController || 'default');
+  if (fallback === '') {
+    throw new Error(`Invalid fallback controller: ${opts.fallbackController}`);
+  }
+  return [fallback];
+}
+
+module.exports = {
+  getDestinations,
+  sanitize,
+  strategies,
+};
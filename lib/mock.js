@@ -0,0 +1,101 @@
+'use strict';
+
+const _ = require('lodash');
+
+const formatter = require('./formatter');
+const ts = require('./typescript');
+const validation = require('./validation');
+
+/**
+ * Status code returned for a declared response: the code itself, the first code of a range ('2XX') and 500 for 'default'
+ * @param {string} statusCode - declared status code
+ * @returns {number}
+ */
+function getStatus(statusCode) {
+  if (/^\d{3}$/.test(statusCode)) {
+    return Number(statusCode);
+  }
+  if (/^\dXX$/i.test(statusCode)) {
+    return Number(statusCode[0]) * 100;
+  }
+  return 500;
+}
+
+/**
+ * Regular expression matching the path of an operation, the path parameters are captured in order
+ * @param {string} path - path of the operation, i.e. '/pets/{petId}'
+ * @returns {string}
+ */
+function getPathPattern(path) {
+  const pattern = path.split(/\{[^}]+\}/).map(_.escapeRegExp).join('([^/]+)');
+  return `^${pattern}/?$`;
+}
+
+/**
+ * Media type and example body of a response
+ * The example declared by the document is used when there is one, otherwise it is built from the schema
+ * @param {object} swagger - root document
+ * @param {object} response - resolved response
+ * @param {number} status - returned status
+ * @param {object} data - view, holding the definitions
+ * @param {object} typeOptions - options of ts.convertType
+ * @returns {object} - { contentType, body }, both undefined when the response has no body
+ */
+function getExample(swagger, response, status, data, typeOptions) {
+  let contentType;
+  let media;
+  if (_.isObject(response.content)) {
+    const types = Object.keys(response.content);
+    contentType = _.find(types, type => /^application\/(.*\+)?json/.test(type)) || types[0];
+    media = contentType ? response.content[contentType] : undefined;
+  } else if (response.schema) {
+    // Swagger 2.0
+    contentType = 'application/json';
+    media = { schema: response.schema, example: (response.examples || {})[contentType] };
+  }
+  if (!media) {
+    return {};
+  }
+  if (media.example !== undefined) {
+    return { contentType, body: media.example };
+  }
+  const examples = _.values(media.examples);
+  if (examples.length > 0 && examples[0].value !== undefined) {
+    return { contentType, body: examples[0].value };
+  }
+  const tsType = ts.convertType(media.schema, swagger, _.assign({ direction: 'response' }, typeOptions));
+  return { contentType, body: formatter.exampleBuilder(tsType, data.definitions, status) };
+}
+
+/**
+ * Add what the mock server needs to the view: the route, the request checks and the example responses of each method
+ * @param {object} data - view of the document
+ * @param {object} swagger - root document
+ * @param {object} schemas - named schemas of the document, referenced by the request checks
+ * @param {object} typeOptions - options of ts.convertType
+ * @returns {object} - the view
+ */
+function addMock(data, swagger, schemas, typeOptions) {
+  data.validationSchemas = JSON.stringify(schemas || {});
+  data.methods.forEach((method) => {
+    const responses = _.map(method.responses, (response, statusCode) => {
+      const status = getStatus(statusCode);
+      return _.assign({ statusCode, status }, getExample(swagger, response, status, data, typeOptions));
+    });
+    // the first declared success is returned unless the caller selects another status
+    const selected = _.find(responses, response => response.status >= 200 && response.status <= 299) || responses[0];
+
+    method.mockPattern = JSON.stringify(getPathPattern(method.path));
+    method.mockPathParameters = JSON.stringify((method.path.match(/\{[^}]+\}/g) || []).map(name => name.slice(1, -1)));
+    method.mockResponses = JSON.stringify(_.keyBy(responses, 'statusCode'));
+    method.mockDefaultStatus = JSON.stringify(selected ? selected.statusCode : null);
+    method.validation = validation.getMethodDefinition(method.parameters, method.responses);
+  });
+  return data;
+}
+
+module.exports = {
+  addMock,
+  getPathPattern,
+  getStatus,
+};
@@ -2,60 +2,189 @@ const _ = require('lodash');
 
 const specialKeys = ['Add', 'Create', 'Delete', 'Disable', 'Update', 'Assign', 'Unassign'];
 
+const kinds = ['procedure', 'function'];
+
+/**
+ * Dialects of the database layer
+ * - placeholder: placeholder of a parameter in the query
+ * - values: values of the parameters, as passed to the DAL
+ * - procedure / function: query of a stored procedure / of a function
+ * - call: call of the DAL
+ */
+const mysql = {
+    placeholder: () => '?',
+    values: parameters => `[${parameters.map(parameter => parameter.value).join(', ')}]`,
+    procedure: (name, placeholders) => `CALL ${name}(${placeholders.join(', ')})`,
+    function: (name, placeholders) => `SELECT ${name}(${placeholders.join(', ')}) as Response`,
+    call: (query, values, options) => `const results = await dal.query("${query}", ${values}, ${options});`,
+};
+
+const dialects = {
+    mysql,
+    postgres: Object.assign({}, mysql, {
+        placeholder: (parameter, index) => `$${index + 1}`,
+    }),
+    named: Object.assign({}, mysql, {
+        placeholder: parameter => `:${parameter.name}`,
+        values: parameters => `{ ${parameters.map(parameter => `'${parameter.name}': ${parameter.value}`).join(', ')} }`,
+    }),
+};
+
+/**
+ * Get the dialect of the queries
+ * @param dialect {string|object} - 'mysql' (default), 'postgres', 'named', or an object overriding some of the mysql functions
+ * @returns {object}
+ */
+function getDialect(dialect) {
+    if (_.isObject(dialect)) {
+        return Object.assign({}, mysql, dialect);
+    }
+    if (!dialects[dialect || 'mysql']) {
+        throw new Error(`Unsupported dialect: ${dialect}, use one of ${Object.keys(dialects).join(', ')}`);
+    }
+    return dialects[dialect || 'mysql'];
+}
+
 /**
- * Get the required properties for the query
+ * Database overrides and cache policy of an operation, from its vendor extensions
+ * @param op {object} - operation
+ * @returns {object} - { procedure, function, kind, cache: { ttl, key, invalidates }, operationId, tags }
+ */
+function getDatabaseOptions(op) {
+    return {
+        procedure: op['x-db-procedure'],
+        function: op['x-db-function'],
+        kind: op['x-db-kind'],
+        cache: {
+            ttl: op['x-cache-ttl'],
+            key: op['x-cache-key'],
+            invalidates: op['x-cache-invalidates'],
+        },
+        operationId: op.operationId,
+        tags: op.tags || [],
+    };
+}
+
+/**
+ * Get the parameters of the query
  * @param params {array} - array of the method parameters
- * @returns {object} - { parameters: {string}, questions: {string} }
+ * @returns {array} - [{ name, value }]
  */
 function getProperties(params) {
-    const parameters = [];
-    const questions = [];
-    params.forEach((param) => {
-        if (param.name) {
-            if(param.in === 'body')
-                parameters.push(param.name + '.data');
-            else
-                parameters.push(param.name);
+    return params.filter(param => param.name).map(param => ({
+        name: param.name,
+        value: param.in === 'body' ? param.name + '.data' : param.name,
+    }));
+}
+
+/**
+ * Kind of the query of a method: the 'x-db-kind' extension, then the 'x-db-procedure' and 'x-db-function' extensions,
+ * then the name of the method, that makes a procedure when it contains one of the verbs
+ * @param method {object} - method of the view
+ * @param verbs {array} - verbs of the procedures
+ * @returns {string} - 'procedure' or 'function'
+ */
+function getKind(method, verbs) {
+    const database = method.database || {};
+    if (database.kind) {
+        if (kinds.indexOf(database.kind) === -1) {
+            throw new Error(`Invalid x-db-kind of ${method.methodName}: ${database.kind}, use one of ${kinds.join(', ')}`);
         }
-        questions.push('?');
-    });
-    return {
-        parameters: parameters.join(', '),
-        questions: questions.join(', '),
+        return database.kind;
     }
+    if (database.procedure) {
+        return 'procedure';
+    }
+    if (database.function) {
+        return 'function';
+    }
+    return verbs.some(verb => method.methodName.includes(verb)) ? 'procedure' : 'function';
+}
+
+/**
+ * Options of the DAL call, from the cache policy of the method
+ * Without cache extensions, functions are cached and procedures are not
+ * - x-cache-ttl: seconds the results are cached, 0 disables the cache
+ * - x-cache-key: parameters forming the key, after the name of the method
+ * - x-cache-invalidates: operationIds or tags of the methods whose cached results are cleared
+ * @param method {object} - method of the view
+ * @param methods {array} - every method of the view
+ * @param parameters {array} - parameters of the query
+ * @param kind {string} - 'procedure' or 'function'
+ * @returns {string}
+ */
+function getCacheOptions(method, methods, parameters, kind) {
+    const cache = (method.database || {}).cache || {};
+    const options = [];
+
+    const ttl = cache.ttl;
+    if (ttl !== undefined && !(Number.isInteger(ttl) && ttl >= 0)) {
+        throw new Error(`Invalid x-cache-ttl of ${method.methodName}: ${ttl}, use a number of seconds`);
+    }
+    options.push(`redis: ${ttl === undefined ? kind === 'function' : ttl > 0}`);
+    if (ttl > 0) {
+        options.push(`ttl: ${ttl}`);
+    }
+
+    if (cache.key !== undefined) {
+        const values = [].concat(cache.key).map((name) => {
+            const parameter = parameters.find(entry => entry.name === name);
+            if (!parameter) {
+                throw new Error(`Unknown parameter in x-cache-key of ${method.methodName}: ${name}`);
+            }
+            return parameter.value;
+        });
+        options.push(`key: ['${method.methodName}'${values.map(value => `, ${value}`).join('')}]`);
+    }
+
+    if (cache.invalidates !== undefined) {
+        const invalidated = _.uniq(_.flatten([].concat(cache.invalidates).map((name) => {
+            const matching = methods.filter((entry) => {
+                const database = entry.database || {};
+                return entry.methodName === name || database.operationId === name || (database.tags || []).indexOf(name) !== -1;
+            });
+            if (matching.length === 0) {
+                throw new Error(`Unknown operation or tag in x-cache-invalidates of ${method.methodName}: ${name}`);
+            }
+            return matching.map(entry => entry.methodName);
+        })));
+        options.push(`invalidates: [${invalidated.map(name => `'${name}'`).join(', ')}]`);
+    }
+
+    return `{ ${options.join(', ')} }`;
 }
 
 /**
  * Create SQL query for the method
  * @param data {object} - object with definitions & methods
+ * @param options {object} - generation options: 'dialect' and 'procedureVerbs'
  * @returns {object} - same as data, but with updated methods
  */
-function querier(data) {
+function querier(data, options = {}) {
     try {
         const mutable = _.cloneDeep(data);
         const { methods, definitions } = mutable;
 
         if (!(methods && methods.length > 0 && definitions && definitions.length > 0)) {
-            return new Error('Methods and definitions should not be empty!');
+            throw new Error('Methods and definitions should not be empty!');
         }
 
+        const dialect = getDialect(options.dialect);
+        const verbs = options.procedureVerbs || specialKeys;
+
         methods.forEach((method, m) => {
-            let special = false;
-            specialKeys.forEach((key) => {
-                if (method.methodName.includes(key)) {
-                    special = true;
-                }
-            });
+            const database = method.database || {};
+            const kind = getKind(method, verbs);
+            const parameters = getProperties(method.parameters);
+            const placeholders = parameters.map(dialect.placeholder);
 
-            const { parameters, questions } = getProperties(method.parameters, special);
-            let query ='';
-            if(special){
-                query = `CALL SP_${method.methodName}(${questions})`;
-            }else{
-                query = `SELECT FN_${method.methodName}(${questions}) as Response`;
+            let query = '';
+            if (kind === 'procedure') {
+                query = dialect.procedure(database.procedure || `SP_${method.methodName}`, placeholders);
+            } else {
+                query = dialect.function(database.function || `FN_${method.methodName}`, placeholders);
             }
-            mutable.methods[m].query = `const results = await dal.query("${query}", `
-                + `[${parameters}], { redis: ${!special} });`;
+            mutable.methods[m].query = dialect.call(query, dialect.values(parameters), getCacheOptions(method, methods, parameters, kind));
         });
 
         return mutable;
@@ -65,3 +194,5 @@ function querier(data) {
 }
 
 module.exports = querier;
+module.exports.dialects = dialects;
+module.exports.getDatabaseOptions = getDatabaseOptions;
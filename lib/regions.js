@@ -0,0 +1,89 @@
+'use strict';
+
+const fs = require('fs');
+const nodePath = require('path');
+
+// '// protected-region-start: <id>' ... '// protected-region-end: <id>', the markers stand on their own lines
+const pattern = /^([ \t]*)\/\/ protected-region-start: ([\w$:.-]+)[ \t]*\r?\n([\s\S]*?)^([ \t]*)\/\/ protected-region-end: \2[ \t]*$/gm;
+
+// region collecting the code of the methods whose operation was removed
+const orphaned = 'orphaned';
+const methodPrefix = 'method:';
+
+/**
+ * Contents of the protected regions of a file
+ * @param {string} content - file content
+ * @returns {object} - { <id>: content between the markers }
+ */
+function extract(content) {
+  const regions = {};
+  content.replace(pattern, (match, indent, id, body) => {
+    regions[id] = body;
+    return match;
+  });
+  return regions;
+}
+
+/**
+ * Code of a method region that has no method anymore, as a function that is never called
+ * @param {string} id - id of the region
+ * @param {string} body - content of the region
+ * @returns {string}
+ */
+function toOrphan(id, body) {
+  const name = id.slice(methodPrefix.length);
+  return `// ${name}: its operation was removed from the document, the code of the method is kept here
+async function ${name}() {
+${body}}
+`;
+}
+
+/**
+ * Keep the protected regions of the previous version of a file
+ * Regions of removed methods are moved to the 'orphaned' region, other removed regions are dropped
+ * @param {string} generated - regenerated content
+ * @param {string} existing - previous content
+ * @returns {string}
+ */
+function merge(generated, existing) {
+  const kept = extract(existing);
+  const regenerated = extract(generated);
+
+  const orphans = Object.keys(kept)
+    .filter(id => id.indexOf(methodPrefix) === 0 && !regenerated.hasOwnProperty(id))
+    .map(id => toOrphan(id, kept[id]));
+  if (orphans.length > 0 || kept.hasOwnProperty(orphaned)) {
+    kept[orphaned] = (kept[orphaned] || '') + orphans.join('\n');
+  }
+
+  return generated.replace(pattern, (match, indent, id, body, endIndent) => {
+    if (!kept.hasOwnProperty(id)) {
+      return match;
+    }
+    return `${indent}// protected-region-start: ${id}\n${kept[id]}${endIndent}// protected-region-end: ${id}`;
+  });
+}
+
+/**
+ * Keep the protected regions of the files that already exist
+ * @param {object} files - { <relative path>: content }
+ * @param {string} [path] - directory the paths are relative to, nothing is kept without it
+ * @returns {object} - { <relative path>: content }
+ */
+function preserve(files, path) {
+  if (!path) {
+    return files;
+  }
+  const preserved = {};
+  Object.keys(files).forEach((file) => {
+    const destination = nodePath.resolve(path, file);
+    preserved[file] = fs.existsSync(destination) ? merge(files[file], fs.readFileSync(destination, 'utf-8')) : files[file];
+  });
+  return preserved;
+}
+
+module.exports = {
+  extract,
+  merge,
+  preserve,
+};
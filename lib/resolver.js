@@ -0,0 +1,261 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml').safeLoad;
+const _ = require('lodash');
+
+// keywords whose value is a single schema
+const schemaKeys = ['items', 'additionalProperties', 'not', 'if', 'then', 'else', 'contains', 'propertyNames',
+  'additionalItems', 'unevaluatedItems', 'unevaluatedProperties'];
+// keywords whose value is a list of schemas
+const schemaListKeys = ['allOf', 'anyOf', 'oneOf', 'prefixItems'];
+// keywords whose value is a map of schemas
+const schemaMapKeys = ['properties', 'patternProperties', 'dependentSchemas', '$defs', 'definitions'];
+
+/**
+ * Split a JSON pointer into its unescaped segments
+ * @param {string} pointer - JSON pointer, with or without the leading '#'
+ * @returns {array}
+ */
+function parsePointer(pointer) {
+  const value = (pointer || '').replace(/^#/, '');
+  if (value === '' || value === '/') {
+    return value === '/' ? [''] : [];
+  }
+  return value.replace(/^\//, '').split('/').map((segment) => {
+    return decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+  });
+}
+
+/**
+ * Escape a segment, so it can be used inside a JSON pointer
+ * @param {string} segment
+ * @returns {string}
+ */
+function escapeSegment(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Name of the object a reference points to, i.e. the last segment of its pointer
+ * @param {string} ref - reference ('#/components/schemas/Pet', 'pets.yaml#/Pet', ...)
+ * @returns {string}
+ */
+function refName(ref) {
+  const hash = ref.indexOf('#');
+  if (hash === -1) {
+    return path.basename(ref).replace(/\.[^.]*$/, '');
+  }
+  return _.last(parsePointer(ref.substring(hash))) || path.basename(ref.substring(0, hash)).replace(/\.[^.]*$/, '');
+}
+
+/**
+ * Get the value a JSON pointer points to
+ * @param {object} document - document to look into
+ * @param {string} pointer - JSON pointer
+ * @returns {*} - undefined if there is no such value
+ */
+function getByPointer(document, pointer) {
+  return parsePointer(pointer).reduce((value, segment) => {
+    return value !== null && typeof value === 'object' ? value[segment] : undefined;
+  }, document);
+}
+
+/**
+ * Resolve a local reference against the document
+ * @param {object} swagger - root document
+ * @param {string} ref - local reference ('#/definitions/Pet') or a bare name ('Pet') when a section is provided
+ * @param {array} [section] - path of the section that holds the objects referenced by a bare name, i.e. ['parameters']
+ * @returns {object}
+ */
+function resolve(swagger, ref, section) {
+  let target;
+  if (ref[0] === '#') {
+    target = getByPointer(swagger, ref);
+  } else if (section && ref.indexOf('/') === -1) {
+    target = _.get(swagger, section.concat(ref));
+  } else {
+    throw new Error(`External reference ${ref} has not been bundled`);
+  }
+  if (target === undefined) {
+    throw new Error(`Unable to resolve reference: ${ref}`);
+  }
+  return target;
+}
+
+/**
+ * Follow the references of an object until a concrete object is found
+ * @param {object} swagger - root document
+ * @param {object} object - object that may be a reference ({ $ref: '...' })
+ * @param {array} [section] - see resolve()
+ * @returns {object}
+ */
+function deref(swagger, object, section) {
+  const seen = [];
+  let current = object;
+  while (current && _.isString(current.$ref)) {
+    if (seen.indexOf(current.$ref) !== -1) {
+      throw new Error(`Circular reference: ${seen.concat(current.$ref).join(' -> ')}`);
+    }
+    seen.push(current.$ref);
+    current = resolve(swagger, current.$ref, section);
+  }
+  return current;
+}
+
+/**
+ * Bundle the references to other JSON / YAML files into the document
+ * Referenced schemas are added to the document schemas (definitions or components.schemas) under their own name,
+ * any other referenced object (parameters, responses, request bodies, headers...) is inlined.
+ * @param {object} swagger - root document
+ * @param {string} [rootPath] - path of the root document, external references are relative to it (current directory by default)
+ * @returns {object} - bundled copy of the document
+ */
+function bundle(swagger, rootPath) {
+  const root = path.resolve(rootPath || 'swagger.json');
+  const documents = {};
+  const hoisted = {};
+  const inlining = [];
+  const result = _.cloneDeep(swagger);
+  const container = swagger.swagger === '2.0' ? ['definitions'] : ['components', 'schemas'];
+
+  documents[root] = result;
+
+  const load = (file) => {
+    if (!documents[file]) {
+      documents[file] = yaml(fs.readFileSync(file, 'utf-8'));
+    }
+    return documents[file];
+  };
+
+  let walk;
+
+  // schemas are walked in place: hoisting may add entries to the map being walked
+  const walkMap = (map, file) => {
+    Object.keys(map || {}).forEach((name) => {
+      map[name] = walk(map[name], file, true);
+    });
+    return map;
+  };
+
+  // add an external schema to the document schemas, returns the local reference to it
+  const hoist = (file, pointer, schema) => {
+    const key = `${file}#${pointer}`;
+    if (!hoisted[key]) {
+      const schemas = _.get(result, container) || {};
+      const base = refName(`${path.basename(file)}#${pointer}`);
+      let name = base;
+      for (let i = 1; schemas[name] !== undefined; i++) {
+        name = `${base}${i}`;
+      }
+      hoisted[key] = `#/${container.concat(name).map(escapeSegment).join('/')}`;
+      schemas[name] = {};
+      _.set(result, container, schemas);
+      schemas[name] = walk(_.cloneDeep(schema), file, true);
+    }
+    return { $ref: hoisted[key] };
+  };
+
+  walk = (node, file, isSchema) => {
+    if (_.isArray(node)) {
+      return node.map(entry => walk(entry, file, isSchema));
+    }
+    if (!_.isPlainObject(node)) {
+      return node;
+    }
+    // local references of the root document and legacy bare names ('Pet') are left as they are
+    if (_.isString(node.$ref) && !(file === root && node.$ref[0] === '#') && !/^[^#/.]+$/.test(node.$ref)) {
+      const hash = node.$ref.indexOf('#');
+      const location = hash === -1 ? node.$ref : node.$ref.substring(0, hash);
+      const pointer = hash === -1 ? '' : node.$ref.substring(hash);
+      if (/^[a-z][a-z0-9+.-]*:\/\//i.test(location)) {
+        throw new Error(`Remote references are not supported: ${node.$ref}`);
+      }
+      const target = location === '' ? file : path.resolve(path.dirname(file), location);
+      if (target === root) {
+        return _.assign({}, node, { $ref: pointer || '#' });
+      }
+      const value = getByPointer(load(target), pointer);
+      if (value === undefined) {
+        throw new Error(`Unable to resolve reference: ${node.$ref} (in ${file})`);
+      }
+      if (isSchema) {
+        return hoist(target, pointer, value);
+      }
+      const key = `${target}#${pointer}`;
+      if (inlining.indexOf(key) !== -1) {
+        throw new Error(`Circular reference: ${inlining.concat(key).join(' -> ')}`);
+      }
+      inlining.push(key);
+      const inlined = walk(_.cloneDeep(value), target, false);
+      inlining.pop();
+      return inlined;
+    }
+    _.forEach(node, (value, key) => {
+      if (isSchema) {
+        if (schemaKeys.indexOf(key) !== -1) {
+          node[key] = walk(value, file, true);
+        } else if (schemaListKeys.indexOf(key) !== -1) {
+          node[key] = walk(value, file, true);
+        } else if (schemaMapKeys.indexOf(key) !== -1) {
+          node[key] = walkMap(value, file);
+        }
+      } else if (key === 'schema') {
+        node[key] = walk(value, file, true);
+      } else if (key === 'schemas' || (key === 'definitions' && node === result)) {
+        node[key] = walkMap(value, file);
+      } else if (!/^x-/.test(key) && key !== 'example' && key !== 'examples') {
+        node[key] = walk(value, file, false);
+      }
+    });
+    return node;
+  };
+
+  return walk(result, root, false);
+}
+
+/**
+ * Files of a document: the document itself and every JSON / YAML file it references, directly or not
+ * Files that cannot be read or parsed are listed without their references
+ * @param {string} rootPath - path of the root document
+ * @returns {array} - absolute paths, the root document first
+ */
+function getFiles(rootPath) {
+  const files = [path.resolve(rootPath)];
+  const collect = (node, file) => {
+    if (_.isArray(node) || _.isPlainObject(node)) {
+      _.forEach(node, value => collect(value, file));
+    }
+    if (_.isPlainObject(node) && _.isString(node.$ref)) {
+      const location = node.$ref.split('#')[0];
+      if (location !== '' && !/^[a-z][a-z0-9+.-]*:\/\//i.test(location)) {
+        const target = path.resolve(path.dirname(file), location);
+        if (files.indexOf(target) === -1) {
+          files.push(target);
+        }
+      }
+    }
+  };
+  for (let i = 0; i < files.length; i++) {
+    let document;
+    try {
+      document = yaml(fs.readFileSync(files[i], 'utf-8'));
+    } catch (e) {
+      document = null;
+    }
+    collect(document, files[i]);
+  }
+  return files;
+}
+
+module.exports = {
+  bundle,
+  deref,
+  escapeSegment,
+  getByPointer,
+  getFiles,
+  parsePointer,
+  refName,
+  resolve,
+};
@@ -0,0 +1,375 @@
+'use strict';
+
+const beautify = require('js-beautify').js;
+const _ = require('lodash');
+
+const { getFramework } = require('./frameworks');
+const { getPathPattern } = require('./mock');
+const resolver = require('./resolver');
+
+// request property holding the parameters of each location
+const origins = {
+  body: 'body',
+  formData: 'body',
+  header: 'headers',
+  path: 'params',
+  query: 'query',
+};
+
+/**
+ * Convert an OpenAPI path to a route url: '/pets/{petId}' becomes '/pets/:petId'
+ * @param {string} path - path of the operation
+ * @returns {string}
+ */
+function convertPath(path) {
+  return path.replace(/\{([^}]+)\}/g, ':$1');
+}
+
+/**
+ * Parameters of a method that are checked by a definition class
+ * @param {object} method - method of the view
+ * @param {array} definitions - names of the exposed definitions
+ * @returns {array} - [{ definition, origin, name }]
+ */
+function getChecks(method, definitions) {
+  return method.parameters
+    .filter(parameter => parameter.schema && parameter.schema.$ref)
+    .map(parameter => ({
+      definition: resolver.refName(parameter.schema.$ref),
+      origin: origins[parameter.in] || 'body',
+      name: parameter.name,
+    }))
+    .filter(check => definitions.indexOf(check.definition) !== -1);
+}
+
+/**
+ * Code validating the parameters of a method with the definition classes, throws on invalid parameters
+ * @param {array} checks - checks of the method
+ * @param {object} framework - idioms of the framework
+ * @returns {string}
+ */
+function buildValidators(checks, framework) {
+  return checks.map((check) => {
+    // the body is the whole object, any other location holds it under the name of the parameter
+    const value = check.origin === 'body' ? framework.body : `${framework[check.origin]}['${check.name}']`;
+    // the definitions get the options of the controller, with its FieldValidator
+    return `const ${_.camelCase(check.name)} = new (definitions.getClass('${check.definition}'))(${framework.context}, ${value}, controller.options);
+        if (typeof ${_.camelCase(check.name)}.validate === 'function') {
+          await ${_.camelCase(check.name)}.validate();
+        }`;
+  }).join('\n');
+}
+
+/**
+ * Code answering a request with invalid parameters
+ * @param {object} method - method of the view
+ * @param {object} framework - idioms of the framework
+ * @returns {string}
+ */
+function buildRejection(method, framework) {
+  return framework.send(400, `{
+            Status: 400,
+            Message: 'Invalid parameters of ${method.methodName}',
+            Description: error.message,
+          }`);
+}
+
+/**
+ * Build the route of a method, in the idiom of the framework
+ * @param {object} method - method of the view
+ * @param {array} definitions - names of the exposed definitions
+ * @param {object} framework - idioms of the framework
+ * @returns {string}
+ */
+function buildRoute(method, definitions, framework) {
+  const checks = getChecks(method, definitions);
+  const validators = buildValidators(checks, framework);
+  const rejection = buildRejection(method, framework);
+  const url = convertPath(method.path);
+  const verb = method.method.toLowerCase();
+
+  if (framework.name === 'express') {
+    const middleware = checks.length === 0 ? '' : `async (req, res, next) => {
+        try {
+          ${validators}
+        } catch (error) {
+          ${rejection}
+          return;
+        }
+        next();
+      },`;
+    return `router.${verb}('${url}', ${middleware}
+      (req, res) => controller.${method.methodName}(req, res));`;
+  }
+
+  if (framework.name === 'koa') {
+    const middleware = checks.length === 0 ? '' : `async (ctx, next) => {
+        try {
+          ${validators}
+        } catch (error) {
+          ${rejection}
+          return;
+        }
+        await next();
+      },`;
+    return `router.${verb}('${url}', ${middleware}
+      (ctx, next) => controller.${method.methodName}(ctx, next));`;
+  }
+
+  let preHandler = '';
+  if (checks.length > 0) {
+    // the bare http router stops when the pre-handler resolves false
+    preHandler = `preHandler: async (req, res) => {
+        try {
+          ${validators}
+        } catch (error) {
+          ${rejection}
+          return ${framework.name === 'http' ? 'false' : 'res'};
+        }${framework.name === 'http' ? '\nreturn true;' : ''}
+      },`;
+  }
+
+  if (framework.name === 'http') {
+    const parameters = (method.path.match(/\{[^}]+\}/g) || []).map(name => name.slice(1, -1));
+    const options = [
+      `method: '${method.method}',`,
+      `pattern: new RegExp(${JSON.stringify(getPathPattern(method.path))}),`,
+      `parameters: ${JSON.stringify(parameters)},`,
+      preHandler,
+      `handler: (req, res) => controller.${method.methodName}(req, res),`,
+    ];
+    return `{
+      ${options.filter(option => option !== '').join('\n')}
+    }`;
+  }
+
+  const options = [
+    `method: '${method.method}',`,
+    `url: '${url}',`,
+    preHandler,
+    `handler: (req, res) => controller.${method.methodName}(req, res),`,
+  ];
+  return `fastify.route({
+      ${options.filter(option => option !== '').join('\n')}
+    });`;
+}
+
+/**
+ * Build the route module of a controller
+ * @param {string} destination - name of the controller
+ * @param {string} imports - required index of the definitions, empty when no parameter is checked
+ * @param {array} built - routes of the controller
+ * @param {object} framework - idioms of the framework
+ * @returns {string}
+ */
+function buildModule(destination, imports, built, framework) {
+  const header = (...required) => [
+    `/* auto-generated: ${destination}.routes.js */`,
+    ...required,
+    `const Controller = require('./${destination}.controller');`,
+    imports,
+  ].filter(line => line !== '').join('\n');
+
+  if (framework.name === 'express' || framework.name === 'koa') {
+    const router = framework.name === 'express' ?
+      { require: 'const express = require(\'express\');', create: 'express.Router()' } :
+      { require: 'const Router = require(\'@koa/router\');', create: 'new Router()' };
+    return `${header(router.require)}
+
+      /**
+       * Router of the ${destination} controller
+       * @param {object} options - options of the controller
+       * @returns {object}
+       */
+      module.exports = (options) => {
+        const router = ${router.create};
+        const controller = new Controller(options);
+
+        ${built.join('\n\n')}
+
+        return router;
+      };`;
+  }
+
+  if (framework.name === 'http') {
+    return `${header()}
+
+      /**
+       * Routes of the ${destination} controller
+       * @param {object} options - options of the controller
+       * @returns {array}
+       */
+      module.exports = (options) => {
+        const controller = new Controller(options);
+
+        return [
+          ${built.join(',\n')}
+        ];
+      };`;
+  }
+
+  return `${header()}
+
+    /**
+     * Register the routes of the ${destination} controller
+     * @param {object} fastify - Fastify instance
+     * @param {object} options - plugin options
+     */
+    module.exports = async (fastify, options) => {
+      const controller = new Controller(options);
+
+      ${built.join('\n\n')}
+    };`;
+}
+
+/**
+ * Build the index, combining the route modules of every controller
+ * @param {array} destinations - names of the controllers
+ * @param {object} framework - idioms of the framework
+ * @returns {string}
+ */
+function buildIndex(destinations, framework) {
+  const modules = destinations.map(destination => `require('./${destination}/${destination}.routes')`);
+
+  if (framework.name === 'express') {
+    return `/* auto-generated: index.js */
+      const express = require('express');
+
+      /**
+       * Router of every controller, the bodies must be parsed beforehand (express.json())
+       * @param {object} options - options, passed to every controller
+       * @returns {object}
+       */
+      module.exports = (options) => {
+        const router = express.Router();
+        ${modules.map(module => `router.use(${module}(options));`).join('\n')}
+        return router;
+      };`;
+  }
+
+  if (framework.name === 'koa') {
+    return `/* auto-generated: index.js */
+      const Router = require('@koa/router');
+
+      /**
+       * Router of every controller, the bodies must be parsed beforehand (koa-bodyparser)
+       * @param {object} options - options, passed to every controller
+       * @returns {object}
+       */
+      module.exports = (options) => {
+        const router = new Router();
+        ${destinations.map((destination, i) => `const ${_.camelCase(destination)} = ${modules[i]}(options);
+          router.use(${_.camelCase(destination)}.routes(), ${_.camelCase(destination)}.allowedMethods());`).join('\n')}
+        return router;
+      };`;
+  }
+
+  if (framework.name === 'http') {
+    return `/* auto-generated: index.js */
+      const { URL } = require('url');
+
+      function send(res, status, body) {
+        ${framework.send('status', 'body')}
+      }
+
+      function readBody(req) {
+        return new Promise((resolve, reject) => {
+          const chunks = [];
+          req.on('data', chunk => chunks.push(chunk));
+          req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+          req.on('error', reject);
+        });
+      }
+
+      /**
+       * Request listener of every controller, for http.createServer()
+       * Sets req.params, req.query and req.body (JSON) before calling the controllers
+       * @param {object} options - options, passed to every controller
+       * @returns {function}
+       */
+      module.exports = (options) => {
+        // literal segments win over path parameters: '/pets/mine' is routed before '/pets/{petId}'
+        const routes = [].concat(
+          ${modules.map(module => `${module}(options)`).join(',\n')}
+        ).sort((first, second) => first.parameters.length - second.parameters.length);
+
+        return async (req, res) => {
+          const url = new URL(req.url, 'http://localhost');
+          let match = null;
+          const route = routes.find((candidate) => {
+            match = candidate.method === req.method ? candidate.pattern.exec(url.pathname) : null;
+            return match !== null;
+          });
+          if (!route) {
+            return send(res, 404, { Status: 404, Message: \`No route matches \${req.method} \${url.pathname}\` });
+          }
+
+          req.params = {};
+          route.parameters.forEach((name, i) => {
+            req.params[name] = decodeURIComponent(match[i + 1]);
+          });
+          // repeated query parameters are kept as arrays
+          req.query = {};
+          url.searchParams.forEach((value, name) => {
+            req.query[name] = req.query.hasOwnProperty(name) ? [].concat(req.query[name], value) : value;
+          });
+          try {
+            const text = await readBody(req);
+            req.body = text ? JSON.parse(text) : {};
+          } catch (error) {
+            return send(res, 400, { Status: 400, Message: 'Invalid body', Description: error.message });
+          }
+
+          if (route.preHandler && !(await route.preHandler(req, res))) {
+            return res;
+          }
+          return route.handler(req, res);
+        };
+      };`;
+  }
+
+  return `/* auto-generated: index.js */
+
+    /**
+     * Register the routes of every controller
+     * @param {object} fastify - Fastify instance
+     * @param {object} options - plugin options, passed to every controller
+     */
+    module.exports = async (fastify, options) => {
+      ${modules.map(module => `await fastify.register(${module}, options);`).join('\n')}
+    };`;
+}
+
+/**
+ * Build the route modules of the controllers and their index
+ * @param {array} methods - methods of the view, each has a 'destination' (controller name)
+ * @param {array} definitions - names of the exposed definitions
+ * @param {string} definitionsDir - name of the definitions directory, next to the controllers directory
+ * @param {string} [framework] - 'fastify' (default), 'express', 'koa' or 'http'
+ * @returns {object} - { <path relative to the controllers directory>: content }
+ */
+function build(methods, definitions, definitionsDir, framework) {
+  const idioms = getFramework(framework);
+  const files = {};
+  const destinations = _.uniq(methods.map(method => method.destination));
+
+  destinations.forEach((destination) => {
+    const routed = methods.filter(method => method.destination === destination);
+    // the index of the definitions registers every class, the definitions are looked up in its registry
+    const imports = routed.some(method => getChecks(method, definitions).length > 0) ?
+      `const definitions = require('../../${definitionsDir}');` : '';
+    const built = routed.map(method => buildRoute(method, definitions, idioms));
+
+    files[`${destination}/${destination}.routes.js`] = beautify(buildModule(destination, imports, built, idioms),
+      { indent_size: 2, end_with_newline: true });
+  });
+
+  files['index.js'] = beautify(buildIndex(destinations, idioms), { indent_size: 2, end_with_newline: true });
+
+  return files;
+}
+
+module.exports = {
+  build,
+  convertPath,
+};
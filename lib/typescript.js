@@ -2,6 +2,153 @@
 
 var _ = require('lodash');
 
+var resolver = require('./resolver');
+
+/**
+ * Flag the last entry of a list, so templates can render separators between entries.
+ * Every entry gets the flag, otherwise mustache would resolve it from an enclosing list.
+ *
+ * @param list an array of type models
+ * @returns the same list
+ */
+function markLast(list) {
+    list.forEach(function(entry, i) {
+        entry.last = i === list.length - 1;
+    });
+    return list;
+}
+
+/**
+ * Tag the variants of a discriminated union with the value of their discriminator property.
+ * The value comes from 'discriminator.mapping', then from the name of the referenced schema (the implicit mapping),
+ * then from a single 'enum' / 'const' value declared by the variant itself.
+ *
+ * @param swaggerType the schema declaring the discriminator
+ * @param variants the converted oneOf / anyOf variants
+ */
+function tagVariants(swaggerType, variants) {
+    var discriminator = _.isString(swaggerType.discriminator) ?
+        { propertyName: swaggerType.discriminator } :
+        swaggerType.discriminator;
+    var schemas = swaggerType.oneOf || swaggerType.anyOf;
+
+    variants.forEach(function(variant, i) {
+        var schema = schemas[i];
+        var value;
+        if (_.isString(schema.$ref)) {
+            var name = resolver.refName(schema.$ref);
+            value = _.findKey(discriminator.mapping, function(target) {
+                return target === schema.$ref || target === name;
+            });
+            if (value === undefined) {
+                value = name;
+            }
+        } else if (schema.properties && schema.properties[discriminator.propertyName]) {
+            var property = schema.properties[discriminator.propertyName];
+            if (property.hasOwnProperty('const')) {
+                value = property.const;
+            } else if (_.isArray(property.enum) && property.enum.length === 1) {
+                value = property.enum[0];
+            }
+        }
+        if (value !== undefined) {
+            variant.discriminatorTag = {
+                propertyName: discriminator.propertyName,
+                value: value,
+                tsValue: JSON.stringify(value)
+            };
+        }
+    });
+}
+
+/**
+ * Typescript type configured for the format of a primitive type, i.e., 'Date' for 'date-time' strings.
+ *
+ * @param swaggerType a string, number or integer type definition
+ * @param options see convertType
+ * @returns the configured type, undefined if there is none
+ */
+function formatType(swaggerType, options) {
+    if (swaggerType.format && options.formatTypes) {
+        return options.formatTypes[swaggerType.format];
+    }
+}
+
+/**
+ * Names of the schemas that need distinct request and response types:
+ * the ones declaring readOnly / writeOnly properties and the ones referencing such schemas.
+ *
+ * @param schemas the named schemas of the document (definitions or components.schemas)
+ * @returns an array of schema names
+ */
+function getDirectionalSchemas(schemas) {
+    var references = {};
+    var directional = [];
+
+    var walk = function(schema, name) {
+        if (_.isArray(schema)) {
+            return schema.forEach(function(entry) { walk(entry, name); });
+        }
+        if (!_.isPlainObject(schema)) {
+            return;
+        }
+        if (_.isString(schema.$ref)) {
+            references[name].push(resolver.refName(schema.$ref));
+        }
+        _.forEach(schema.properties, function(property) {
+            if ((property.readOnly || property.writeOnly) && directional.indexOf(name) === -1) {
+                directional.push(name);
+            }
+        });
+        _.forEach(_.omit(schema, ['enum', 'example', 'examples', 'default', 'const']), function(value) {
+            if (_.isObject(value)) {
+                walk(value, name);
+            }
+        });
+    };
+
+    _.forEach(schemas, function(schema, name) {
+        references[name] = [];
+        walk(schema, name);
+    });
+
+    // schemas referencing a directional schema need variants pointing to the matching variant
+    var isReferencing = function(name) {
+        return directional.indexOf(name) === -1 && _.intersection(references[name], directional).length > 0;
+    };
+    var referencing = _.filter(_.keys(references), isReferencing);
+    while (referencing.length > 0) {
+        Array.prototype.push.apply(directional, referencing);
+        referencing = _.filter(_.keys(references), isReferencing);
+    }
+    return directional;
+}
+
+/**
+ * Suffixes of the request and response variants of the directional schemas: 'Request' and 'Response',
+ * followed by a number when the document already has a schema of that name (PetRequest2).
+ *
+ * @param schemas the named schemas of the document
+ * @param directional names of the schemas that have variants, see getDirectionalSchemas
+ * @returns the suffixes by schema name and direction, i.e., { Pet: { request: 'Request', response: 'Response' } }
+ */
+function getVariantSuffixes(schemas, directional) {
+    var taken = _.keys(schemas);
+    var suffixes = {};
+    directional.forEach(function(name) {
+        suffixes[name] = {};
+        ['request', 'response'].forEach(function(direction) {
+            var suffix = _.upperFirst(direction);
+            for (var i = 2; taken.indexOf(name + suffix) !== -1; i++) {
+                suffix = _.upperFirst(direction) + i;
+            }
+            taken.push(name + suffix);
+            suffixes[name][direction] = suffix;
+        });
+    });
+    return suffixes;
+}
+
 /**
  * Recursively converts a swagger type description into a typescript type, i.e., a model for our mustache
  * template.
@@ -10,30 +157,83 @@ var _ = require('lodash');
  *
  * @param swaggerType a swagger type definition, i.e., the right hand side of a swagger type definition.
  * @param swagger
+ * @param options optional settings:
+ *        - formatTypes: typescript type of the values of a given format, i.e., { 'date-time': 'Date', int64: 'string' }
+ *        - direction: 'request' or 'response', drops the readOnly (request) or writeOnly (response) properties
+ *        - directional: names of the schemas that have request / response variants, see getDirectionalSchemas
+ *        - variantSuffixes: suffixes of the names of the variants, see getVariantSuffixes ('Request' / 'Response' by default)
  * @returns a recursive structure representing the type, which can be used as a template model.
  */
-function convertType(swaggerType, swagger) {
+function convertType(swaggerType, swagger, options) {
+    options = options || {};
+
+    if (!_.isObject(swaggerType)) {
+        // JSON Schema 2020-12 accepts any value for a 'true' or missing schema
+        return convertType({ type: 'any' }, swagger, options);
+    }
 
     var typespec = { description: swaggerType.description, isEnum: false };
 
     if (swaggerType.hasOwnProperty('schema')) {
-        return convertType(swaggerType.schema);
+        return convertType(swaggerType.schema, swagger, options);
     } else if (_.isString(swaggerType.$ref)) {
         typespec.tsType = 'ref';
-        typespec.target = swaggerType.$ref.substring(swaggerType.$ref.lastIndexOf('/') + 1);
+        typespec.target = resolver.refName(swaggerType.$ref);
+        typespec.targetSuffix = '';
+        if (options.direction && _.includes(options.directional, typespec.target)) {
+            typespec.targetSuffix = options.variantSuffixes ?
+                options.variantSuffixes[typespec.target][options.direction] :
+                _.upperFirst(options.direction);
+        }
+    } else if (swaggerType.hasOwnProperty('const')) {
+        typespec.tsType = JSON.stringify(swaggerType.const);
+        typespec.isAtomic = true;
     } else if (swaggerType.hasOwnProperty('enum')) {
         typespec.tsType = swaggerType.enum.map(function(str) { return JSON.stringify(str); }).join(' | ');
+        typespec.enumValues = swaggerType.enum.slice();
         typespec.isAtomic = true;
         typespec.isEnum = true;
+    } else if (_.isArray(swaggerType.oneOf) || _.isArray(swaggerType.anyOf)) {
+        typespec.tsType = 'union';
+        typespec.unionTypes = (swaggerType.oneOf || swaggerType.anyOf).map(function(variant) {
+            return convertType(variant, swagger, options);
+        });
+        markLast(typespec.unionTypes);
+        if (swaggerType.discriminator) {
+            tagVariants(swaggerType, typespec.unionTypes);
+        }
+        // properties declared next to oneOf / anyOf are shared by every variant
+        typespec.baseType = swaggerType.properties || swaggerType.allOf ?
+            convertType(_.omit(swaggerType, ['oneOf', 'anyOf', 'discriminator', 'description']), swagger, options) :
+            null;
+    } else if (_.isArray(swaggerType.type) && swaggerType.type.length > 0) {
+        // OpenAPI 3.1: "type": ["string", "null"] becomes a union of every listed type
+        typespec.tsType = 'union';
+        typespec.unionTypes = _.uniq(swaggerType.type).map(function(type) {
+            return convertType(_.assign({}, swaggerType, { type: type, description: undefined }), swagger, options);
+        });
+        markLast(typespec.unionTypes);
+        typespec.baseType = null;
+    } else if (swaggerType.type === 'null' || swaggerType.type === 'any') {
+        typespec.tsType = swaggerType.type;
     } else if (swaggerType.type === 'string') {
-        typespec.tsType = 'string';
+        typespec.tsType = formatType(swaggerType, options) || 'string';
+        typespec.isAtomic = true;
     } else if (swaggerType.type === 'number' || swaggerType.type === 'integer') {
-        typespec.tsType = 'number';
+        typespec.tsType = formatType(swaggerType, options) || 'number';
+        typespec.isAtomic = true;
     } else if (swaggerType.type === 'boolean') {
         typespec.tsType = 'boolean';
+    } else if (swaggerType.type === 'array' && _.isArray(swaggerType.prefixItems)) {
+        // JSON Schema 2020-12 tuples
+        typespec.tsType = 'tuple';
+        typespec.elementTypes = swaggerType.prefixItems.map(function(item) {
+            return convertType(item, swagger, options);
+        });
+        markLast(typespec.elementTypes);
     } else if (swaggerType.type === 'array') {
         typespec.tsType = 'array';
-        typespec.elementType = convertType(swaggerType.items);
+        typespec.elementType = convertType(swaggerType.items, swagger, options);
     } else /*if (swaggerType.type === 'object')*/ { //remaining types are created as objects
         if (swaggerType.minItems >= 0 && swaggerType.hasOwnProperty('title') && !swaggerType.$ref) {
             typespec.tsType = 'any';
@@ -43,29 +243,26 @@ function convertType(swaggerType, swagger) {
             typespec.properties = [];
             if (swaggerType.allOf) {
                 _.forEach(swaggerType.allOf, function (ref) {
-                    if(ref.$ref) {
-                        var refSegments = ref.$ref.split('/');
-                        var name = refSegments[refSegments.length - 1];
-                        _.forEach(swagger.definitions, function (definition, definitionName) {
-                            if (definitionName === name) {
-                                var property = convertType(definition, swagger);
-                                Array.prototype.push.apply(typespec.properties, property.properties);
-                            }
-                        });
-                    } else {
-                        var property = convertType(ref);
-                        Array.prototype.push.apply(typespec.properties, property.properties);
-                    }
+                    var property = convertType(resolver.deref(swagger, ref, ['definitions']), swagger, options);
+                    Array.prototype.push.apply(typespec.properties, property.properties);
                 });
             }
 
             _.forEach(swaggerType.properties, function (propertyType, propertyName) {
-                var property = convertType(propertyType);
+                // read-only properties are never sent, write-only properties are never received
+                if ((options.direction === 'request' && propertyType.readOnly) ||
+                    (options.direction === 'response' && propertyType.writeOnly)) {
+                    return;
+                }
+
+                var property = convertType(propertyType, swagger, options);
                 property.name = propertyName;
 
-                // add example value if possibles
+                // add example value if possibles, OpenAPI 3.1 schemas list them in 'examples'
                 if (propertyType.example) {
                   property.example = propertyType.example;
+                } else if (_.isArray(propertyType.examples) && propertyType.examples.length > 0) {
+                  property.example = propertyType.examples[0];
                 }
 
                 property.optional = true;
@@ -75,6 +272,16 @@ function convertType(swaggerType, swagger) {
 
                 typespec.properties.push(property);
             });
+
+            // dictionaries, possibly combined with the declared properties
+            if (swaggerType.additionalProperties === true || _.isPlainObject(swaggerType.additionalProperties)) {
+                typespec.additionalType = convertType(
+                    swaggerType.additionalProperties === true ? { type: 'any' } : swaggerType.additionalProperties,
+                    swagger,
+                    options
+                );
+                typespec.isMap = typespec.properties.length === 0;
+            }
         }
     } /*else {
      // type unknown or unsupported... just map to 'any'...
@@ -85,7 +292,15 @@ function convertType(swaggerType, swagger) {
     typespec.isRef = typespec.tsType === 'ref';
     typespec.isObject = typespec.tsType === 'object';
     typespec.isArray = typespec.tsType === 'array';
-    typespec.isAtomic = typespec.isAtomic || _.includes(['string', 'number', 'boolean', 'any'], typespec.tsType);
+    typespec.isTuple = typespec.tsType === 'tuple';
+    typespec.isUnion = typespec.tsType === 'union';
+    typespec.isAtomic = typespec.isAtomic || _.includes(['string', 'number', 'boolean', 'any', 'null'], typespec.tsType);
+    typespec.isNullable = swaggerType.nullable === true;
+    typespec.isInterface = typespec.isObject && !typespec.additionalType && !typespec.isNullable;
+    // set on every type, so a nested type never picks them up from an enclosing type in the templates
+    typespec.discriminatorTag = null;
+    typespec.additionalType = typespec.additionalType || null;
+    typespec.isMap = typespec.isMap || false;
 
     if (swaggerType['x-AuthFieldType']) {
       typespec['x-AuthFieldType'] = swaggerType['x-AuthFieldType'];
@@ -94,4 +309,28 @@ function convertType(swaggerType, swagger) {
     return typespec;
 }
 
+/**
+ * Short name of a converted type, for JSDoc comments: the referenced definition, the atomic type or a generic container.
+ *
+ * @param typespec a type model returned by convertType
+ * @returns a string, i.e., 'Pet', 'Array<Pet>', 'string', '"a" | "b"' or 'object'
+ */
+function docType(typespec) {
+    var name = 'object';
+    if (typespec.isRef) {
+        name = typespec.target + typespec.targetSuffix;
+    } else if (typespec.isArray) {
+        name = 'Array<' + docType(typespec.elementType) + '>';
+    } else if (typespec.isUnion) {
+        name = typespec.unionTypes.map(docType).join('|');
+    } else if (typespec.isAtomic) {
+        name = typespec.tsType;
+    }
+    return typespec.isNullable ? '?' + name : name;
+}
+
 module.exports.convertType = convertType;
+module.exports.docType = docType;
+module.exports.markLast = markLast;
+module.exports.getDirectionalSchemas = getDirectionalSchemas;
+module.exports.getVariantSuffixes = getVariantSuffixes;
@@ -0,0 +1,76 @@
+'use strict';
+
+const _ = require('lodash');
+
+// keywords checked by the validator of the generated clients, see templates/validator.mustache
+const keywords = ['type', 'format', 'nullable', 'enum', 'const', 'pattern', 'minLength', 'maxLength', 'minimum',
+  'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'minItems', 'maxItems', 'items', 'prefixItems', 'required',
+  'properties', 'additionalProperties', 'allOf', 'anyOf', 'oneOf', 'discriminator', 'readOnly', 'writeOnly', '$ref'];
+
+/**
+ * Schema of a parameter: its 'schema' (OpenAPI 3, Swagger 2.0 bodies) or the schema keywords declared inline (Swagger 2.0)
+ * @param {object} parameter
+ * @returns {object}
+ */
+function getParameterSchema(parameter) {
+  return parameter.schema || _.pick(parameter, keywords);
+}
+
+/**
+ * Schema of the body of a response, null when there is no body or no JSON body to check
+ * @param {object} response - resolved response
+ * @returns {object}
+ */
+function getResponseSchema(response) {
+  if (_.isObject(response.content)) {
+    const contentType = _.find(Object.keys(response.content), (type) => /^application\/(.*\+)?json/.test(type));
+    return contentType && response.content[contentType].schema ? response.content[contentType].schema : null;
+  }
+  return response.schema || null;
+}
+
+/**
+ * Definition used by the generated clients to validate the calls of a method
+ * @param {array} parameters - parameters of the method, as they are in the view
+ * @param {object} responses - resolved responses of the method, by status code
+ * @returns {string} - JSON: { parameters: [{ name, originalName, in, required, schema }], responses: { <status>: schema } }
+ */
+function getMethodDefinition(parameters, responses) {
+  return JSON.stringify({
+    parameters: parameters.filter((parameter) => !parameter.isSingleton).map((parameter) => {
+      return {
+        name: parameter.camelCaseName,
+        originalName: parameter.name,
+        in: parameter.in,
+        required: parameter.required === true,
+        schema: getParameterSchema(parameter),
+      };
+    }),
+    responses: _.mapValues(responses, getResponseSchema),
+  });
+}
+
+/**
+ * Add the validation settings to the view
+ * @param {object} data - view of the document
+ * @param {object} opts - generation options, validation is enabled by 'validateRequests' and 'validateResponses'
+ * @param {object} schemas - named schemas of the document, referenced by the method definitions
+ * @returns {object} - the view
+ */
+function addValidation(data, opts, schemas) {
+  data.validateRequests = opts.validateRequests === true;
+  data.validateResponses = opts.validateResponses === true;
+  data.hasValidation = data.validateRequests || data.validateResponses;
+  if (data.hasValidation) {
+    data.validationSchemas = JSON.stringify(schemas || {});
+    data.methods.forEach((method) => {
+      method.validation = getMethodDefinition(method.parameters, method.responses);
+    });
+  }
+  return data;
+}
+
+module.exports = {
+  addValidation,
+  getMethodDefinition,
+};
@@ -0,0 +1,175 @@
+'use strict';
+
+const fs = require('fs');
+const nodePath = require('path');
+const _ = require('lodash');
+const config = require('./config');
+const resolver = require('./resolver');
+
+/**
+ * Compare two versions of the generated output
+ * @param {object} previous - { <path>: content } of the previous run
+ * @param {object} current - { <path>: content } of this run
+ * @returns {object} - { added, changed, removed, unchanged }, sorted paths
+ */
+function summarize(previous, current) {
+  const summary = { added: [], changed: [], removed: [], unchanged: [] };
+  Object.keys(current).sort().forEach((path) => {
+    if (!previous.hasOwnProperty(path)) {
+      summary.added.push(path);
+    } else {
+      summary[previous[path] === current[path] ? 'unchanged' : 'changed'].push(path);
+    }
+  });
+  summary.removed = Object.keys(previous).filter(path => !current.hasOwnProperty(path)).sort();
+  return summary;
+}
+
+/**
+ * Lines reporting a summary, the unchanged files are only counted
+ * @param {object} summary - result of summarize()
+ * @param {string} [base] - the paths are shown relative to this directory
+ * @returns {array}
+ */
+function formatSummary(summary, base) {
+  const relative = path => (base ? nodePath.relative(base, path) : path);
+  const lines = [`${summary.changed.length} changed, ${summary.added.length} added, ${summary.removed.length} no longer generated, ${summary.unchanged.length} unchanged`];
+  summary.changed.forEach(path => lines.push(`  ~ ${relative(path)}`));
+  summary.added.forEach(path => lines.push(`  + ${relative(path)}`));
+  summary.removed.forEach(path => lines.push(`  - ${relative(path)}`));
+  return lines;
+}
+
+/**
+ * Output of a run: the written files and their content, or the generated code under the name of the job
+ * @param {object} job - options of the job
+ * @param {string|array} result - result of config.run()
+ * @returns {object} - { <path>: content }
+ */
+function getOutput(job, result) {
+  if (typeof result === 'string') {
+    return { [job.spec]: result };
+  }
+  const output = {};
+  result.forEach((path) => {
+    output[path] = job.dryRun ? '' : fs.readFileSync(path, 'utf-8');
+  });
+  return output;
+}
+
+/**
+ * Regenerate the jobs when their documents, or the files the documents reference, change
+ * - delay: milliseconds without changes before regenerating, bursts of saves make a single run (100 by default)
+ * - log / error: report the runs and the errors, generation errors are reported and the watch goes on
+ * - watchDirectory: (directory, listener(event, filename)) => watcher with a close() method, fs.watch by default
+ * @param {array} jobs - options of every job, see config.run()
+ * @param {object} [options] - 'delay', 'log', 'error', 'watchDirectory'
+ * @returns {object} - { ready: Promise of the first runs, settled(): Promise of the runs of the changes so far, close() }
+ */
+function watch(jobs, options = {}) {
+  const delay = options.delay === undefined ? 100 : options.delay;
+  const log = options.log || (message => console.log(`> swagger-js-codegen @ ${message}`));
+  const error = options.error || (message => console.error(`> swagger-js-codegen @ ${message}`));
+  const watchDirectory = options.watchDirectory || ((directory, listener) => fs.watch(directory, listener));
+
+  const watchers = {};
+  const outputs = jobs.map(() => ({}));
+  let dependencies = jobs.map(() => []);
+  let pending = [];
+  let timer = null;
+  let running = Promise.resolve();
+  let closed = false;
+
+  let regenerate;
+
+  const onChange = (file) => {
+    if (closed || pending.indexOf(file) !== -1) {
+      return;
+    }
+    pending.push(file);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const changed = pending;
+      pending = [];
+      running = running.then(() => regenerate(changed));
+    }, delay);
+  };
+
+  const getWatched = () => _.uniq(_.flatten(dependencies));
+
+  // the directories are watched rather than the files, editors replace the files they save
+  const update = () => {
+    _.uniq(getWatched().map(file => nodePath.dirname(file))).filter(directory => !watchers[directory]).forEach((directory) => {
+      try {
+        watchers[directory] = watchDirectory(directory, (event, filename) => {
+          const file = nodePath.join(directory, String(filename));
+          if (filename && getWatched().indexOf(file) !== -1) {
+            onChange(file);
+          }
+        });
+      } catch (err) {
+        error(`unable to watch ${directory}: ${err.message}`);
+      }
+    });
+  };
+
+  const runJob = (job, j) => config.run(job).then((result) => {
+    const output = getOutput(job, result);
+    if (typeof result === 'string') {
+      console.log(result);
+    }
+    const summary = summarize(outputs[j], output);
+    outputs[j] = output;
+    return summary;
+  }).catch((err) => {
+    error(`${nodePath.relative(process.cwd(), job.spec)}: ${err.message}`);
+    return null;
+  }).then((summary) => {
+    dependencies[j] = resolver.getFiles(job.spec);
+    return summary;
+  });
+
+  regenerate = (changed) => {
+    if (closed) {
+      return Promise.resolve();
+    }
+    const affected = jobs.map((job, j) => j).filter(j => changed.some(file => dependencies[j].indexOf(file) !== -1));
+    log(`${changed.map(file => nodePath.relative(process.cwd(), file)).join(', ')} changed, regenerating ${affected.length} of ${jobs.length} jobs`);
+    return affected.reduce((previous, j) => previous.then(() => runJob(jobs[j], j).then((summary) => {
+      if (summary) {
+        const lines = formatSummary(summary, process.cwd());
+        lines[0] = `${nodePath.relative(process.cwd(), jobs[j].out || jobs[j].spec)}: ${lines[0]}`;
+        lines.forEach(log);
+      }
+    })), Promise.resolve()).then(update);
+  };
+
+  dependencies = jobs.map(job => resolver.getFiles(job.spec));
+  running = jobs.reduce((previous, job, j) => previous.then(() => runJob(job, j).then((summary) => {
+    if (summary) {
+      log(`${nodePath.relative(process.cwd(), job.spec)}: ${summary.added.length} files generated`);
+    }
+  })), Promise.resolve()).then(() => {
+    update();
+    log(`watching ${getWatched().length} files`);
+  });
+
+  // changes waiting for the end of the burst are settled too
+  const settled = () => (pending.length > 0 ? new Promise(resolve => setTimeout(resolve, delay)).then(settled) : running);
+
+  return {
+    ready: running,
+    settled,
+    close: () => {
+      closed = true;
+      clearTimeout(timer);
+      Object.keys(watchers).forEach(directory => watchers[directory].close());
+    },
+  };
+}
+
+module.exports = {
+  formatSummary,
+  summarize,
+  watch,
+};
@@ -0,0 +1,26 @@
+'use strict';
+
+const fs = require('fs');
+const nodePath = require('path');
+
+/**
+ * Write generated files, creating their directories
+ * @param {object} files - { <relative path>: content }, as returned by a dry run
+ * @param {string} path - directory the paths are relative to
+ * @returns {array} - absolute paths of the written files
+ */
+function write(files, path) {
+  if (!path) {
+    throw new Error('Missing the destination path!');
+  }
+  return Object.keys(files).map((file) => {
+    const destination = nodePath.resolve(path, file);
+    fs.mkdirSync(nodePath.dirname(destination), { recursive: true });
+    fs.writeFileSync(destination, files[file]);
+    return destination;
+  });
+}
+
+module.exports = {
+  write,
+};
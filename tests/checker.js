@@ -0,0 +1,140 @@
+'use strict';
+
+var assert = require('assert');
+var vows = require('vows');
+var fs = require('fs');
+
+var checker = require('../lib/checker');
+var formatter = require('../lib/formatter');
+var querier = require('../lib/querier');
+var CodeGen = require('../lib/codegen').CodeGen;
+
+var pets = JSON.parse(fs.readFileSync(__dirname + '/apis/pets.json', 'UTF-8'));
+var uber = JSON.parse(fs.readFileSync(__dirname + '/apis/uber.json', 'UTF-8'));
+var errors = JSON.parse(fs.readFileSync(__dirname + '/invalid/errors.json', 'UTF-8'));
+var warnings = JSON.parse(fs.readFileSync(__dirname + '/invalid/warnings.json', 'UTF-8'));
+
+/**
+ * Problems of a modified copy of a document, as '<pointer>: <message>', the warnings end with ' (warning)'
+ */
+function problems(document, modify, opts) {
+    var modified = JSON.parse(JSON.stringify(document));
+    modify(modified);
+    return checker.check(modified, opts).map(function(problem) {
+        return problem.pointer + ': ' + problem.message + (problem.level === 'warning' ? ' (warning)' : '');
+    });
+}
+
+vows.describe('Checker').addBatch({
+    'Valid documents': {
+        'have no errors': function() {
+            fs.readdirSync(__dirname + '/apis').filter(function(file) {
+                return file[0] !== '_';
+            }).forEach(function(file) {
+                var document = JSON.parse(fs.readFileSync(__dirname + '/apis/' + file, 'UTF-8'));
+                assert.deepEqual(checker.check(document).filter(function(problem) {
+                    return problem.level === 'error';
+                }), [], file);
+            });
+        }
+    },
+    'Pointers': {
+        'escape the keys of the document': function() {
+            assert.equal(checker.toPointer(['paths', '/users/{id}', 'get', 'responses', 200]), '#/paths/~1users~1{id}/get/responses/200');
+        }
+    },
+    'OpenAPI 3 documents': {
+        'report every problem at once': function() {
+            assert.deepEqual(problems(pets, function(modified) {
+                delete modified.paths['/pets'].get.responses['200'].description;
+                modified.paths['/pets'].get.tags = 'pets';
+                modified.paths['/pets'].post.operationId = 'listPets';
+                modified.paths['/pets'].post.responses['201'].content['application/json'].schema.$ref = '#/components/schemas/Cat';
+            }), [
+                '#/paths/~1pets/post/responses/201/content/application~1json/schema/$ref: #/components/schemas/Cat does not exist',
+                '#/paths/~1pets/get/tags: should be an array of strings',
+                '#/paths/~1pets/get/responses/200/description: should be a string',
+                '#/paths/~1pets/post/operationId: listPets is already the operationId of #/paths/~1pets/get'
+            ]);
+        },
+        'check the parameters and the responses': function() {
+            assert.deepEqual(problems(pets, function(modified) {
+                modified.paths['/pets'].get.parameters.push({ name: 'owner', in: 'body' });
+                modified.paths['/pets/{petId}/owner/{ownerId}'] = { get: { responses: {} } };
+                modified.paths['/pets/{petId}'].get.responses.ok = { description: 'OK' };
+            }), [
+                '#/paths/~1pets/get/parameters/1/in: should be one of query, header, path, cookie, not "body"',
+                '#/paths/~1pets~1{petId}/get/responses/ok: should be an HTTP status code, a range (2XX) or \'default\' (warning)',
+                '#/paths/~1pets~1{petId}~1owner~1{ownerId}/get: path parameter petId is not declared (warning)',
+                '#/paths/~1pets~1{petId}~1owner~1{ownerId}/get: path parameter ownerId is not declared (warning)',
+                '#/paths/~1pets~1{petId}~1owner~1{ownerId}/get/responses: should list at least one response'
+            ]);
+        }
+    },
+    'Swagger 2 documents': {
+        'check their own parameter locations': function() {
+            assert.deepEqual(problems(uber, function(modified) {
+                modified.swagger = '2';
+                modified.info = 'Uber';
+            }), ['#/swagger: Unsupported Swagger version: 2, use 2.0']);
+            assert.deepEqual(problems(uber, function(modified) {
+                modified.paths['/products'].get.parameters[0].in = 'cookie';
+                modified.paths['/products'].get.parameters.push({ name: 'product', in: 'body' });
+                modified.paths.products = modified.paths['/products'];
+            }), [
+                '#/paths/~1products/get/parameters/0/in: should be one of query, header, path, formData, body, not "cookie"',
+                '#/paths/~1products/get/parameters/3/schema: body parameters should have a schema',
+                '#/paths/products: paths should start with \'/\'',
+                '#/paths/products/get/parameters/0/in: should be one of query, header, path, formData, body, not "cookie"',
+                '#/paths/products/get/parameters/3/schema: body parameters should have a schema'
+            ]);
+        }
+    },
+    'The multi-class generation': {
+        'needs operations and schemas': function() {
+            assert.deepEqual(problems(pets, function(modified) {
+                modified.paths = {};
+                modified.components.schemas = {};
+            }, { multiple: true }), [
+                '#/paths: the multi-class generation needs at least one operation',
+                '#/components/schemas: the multi-class generation needs at least one schema'
+            ]);
+        }
+    },
+    'Generation': {
+        topic: function() {
+            try {
+                CodeGen.getNodeCode({ className: 'Orders', swagger: errors });
+            } catch (e) {
+                return e;
+            }
+        },
+        'throws a SpecificationError listing the problems': function(err) {
+            assert.equal(err.name, 'SpecificationError');
+            assert.equal(err.message, 'Invalid document, 2 problems:\n' +
+                '  #/info/title: should be a string\n' +
+                '  #/paths/~1orders/get/responses/200/description: should be a string');
+            assert.equal(err.problems.length, 2);
+        },
+        'skips the check when validate is false': function() {
+            assert.ok(CodeGen.getNodeCode({ className: 'Orders', swagger: errors, validate: false }).indexOf('listOrders') !== -1);
+        },
+        'goes on with the warnings': function() {
+            assert.deepEqual(checker.check(warnings).map(function(problem) {
+                return problem.level + ' ' + problem.pointer;
+            }), [
+                'warning #/paths/~1orders~1{orderId}/get',
+                'warning #/paths/~1orders~1{orderId}/get/responses/security'
+            ]);
+            assert.ok(CodeGen.getNodeCode({ className: 'Orders', swagger: warnings }).indexOf('getOrder') !== -1);
+        },
+        'throws on empty views instead of returning an error': function() {
+            assert.throws(function() {
+                formatter.format({ methods: [], definitions: [] });
+            }, /Methods and definitions should not be empty!/);
+            assert.throws(function() {
+                querier({ methods: [], definitions: [] });
+            }, /Methods and definitions should not be empty!/);
+        }
+    }
+}).export(module);
@@ -0,0 +1,105 @@
+'use strict';
+
+var assert = require('assert');
+var vows = require('vows');
+var fs = require('fs');
+var tmp = require('tmp');
+
+var config = require('../lib/config');
+
+var pets = __dirname + '/apis/pets.json';
+
+vows.describe('Configuration').addBatch({
+    'Jobs': {
+        topic: function() {
+            return config.getJobs({
+                defaults: { className: 'Service', lint: false },
+                specs: [{
+                    spec: 'api/pets.json',
+                    type: 'node',
+                    jobs: [
+                        { out: 'client.js', className: 'Pets' },
+                        { multiple: true, out: 'server', template: { class: 'templates/class.mustache' } }
+                    ]
+                }]
+            }, '/project');
+        },
+        'every job of every spec is listed': function(jobs) {
+            assert.equal(jobs.length, 2);
+        },
+        'the options of the job win over the spec and the defaults': function(jobs) {
+            assert.equal(jobs[0].className, 'Pets');
+            assert.equal(jobs[1].className, 'Service');
+            assert.equal(jobs[1].type, 'node');
+            assert.equal(jobs[1].lint, false);
+        },
+        'the paths are relative to the configuration': function(jobs) {
+            assert.equal(jobs[0].spec, '/project/api/pets.json');
+            assert.equal(jobs[0].out, '/project/client.js');
+            assert.equal(jobs[1].template.class, '/project/templates/class.mustache');
+        },
+        'specs without jobs are rejected': function() {
+            assert.throws(function() {
+                config.getJobs({ specs: [{ spec: 'api/pets.json' }] }, '/project');
+            }, /specs\[0\] has no 'jobs'/);
+            assert.throws(function() {
+                config.getJobs({}, '/project');
+            }, /'specs' should list/);
+        }
+    },
+    'Configuration files': {
+        topic: function() {
+            var tmpDir = tmp.dirSync({ unsafeCleanup: true });
+            fs.writeFileSync(tmpDir.name + '/swagger-codegen.config.json', JSON.stringify({
+                specs: [{ spec: pets, jobs: [{ type: 'node', className: 'Pets', out: 'client' }, { type: 'node', className: 'Pets', multiple: true, out: 'server' }] }]
+            }));
+            fs.mkdirSync(tmpDir.name + '/client');
+            var file = config.find(tmpDir.name);
+            var jobs = config.load(file);
+            var callback = this.callback;
+            Promise.all(jobs.map(config.run)).then(function(results) {
+                var written = results.map(function(paths) {
+                    return paths.map(function(path) {
+                        return path.slice(tmpDir.name.length + 1);
+                    }).sort();
+                });
+                tmpDir.removeCallback();
+                callback(null, { file: file.slice(tmpDir.name.length + 1), written: written });
+            }, callback);
+        },
+        'are found in the directory': function(result) {
+            assert.equal(result.file, 'swagger-codegen.config.json');
+        },
+        'a single class is written in its output directory': function(result) {
+            assert.deepEqual(result.written[0], ['client/Pets.js']);
+        },
+        'a multi-class generation is written in its output directory': function(result) {
+            assert.ok(result.written[1].indexOf('server/routes_generated/pets/pets.controller.js') !== -1);
+            assert.ok(result.written[1].indexOf('server/definitions_generated/Pet/Pet.js') !== -1);
+        }
+    },
+    'Single runs': {
+        topic: function() {
+            var callback = this.callback;
+            config.run({ spec: pets, type: 'node', className: 'Pets' }).then(function(source) {
+                callback(null, source);
+            }, callback);
+        },
+        'return the code without output': function(source) {
+            assert.ok(source.indexOf('const Pets = (function() {') !== -1);
+        }
+    },
+    'Runs of unknown types': {
+        topic: function() {
+            var callback = this.callback;
+            config.run({ spec: pets, type: 'cobol' }).then(function() {
+                callback(new Error('expected a rejection'));
+            }, function(error) {
+                callback(null, error);
+            });
+        },
+        'are rejected': function(error) {
+            assert.match(error.message, /Unsupported type: cobol/);
+        }
+    }
+}).export(module);
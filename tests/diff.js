@@ -0,0 +1,111 @@
+'use strict';
+
+var assert = require('assert');
+var vows = require('vows');
+var fs = require('fs');
+
+var diff = require('../lib/diff');
+
+var pets = JSON.parse(fs.readFileSync(__dirname + '/apis/pets.json', 'UTF-8'));
+var uber = JSON.parse(fs.readFileSync(__dirname + '/apis/uber.json', 'UTF-8'));
+
+/**
+ * Changes between a document and a modified copy of it
+ */
+function changes(document, modify) {
+    var modified = JSON.parse(JSON.stringify(document));
+    modify(modified);
+    return diff.diff({ swagger: document }, { swagger: modified }).map(function(change) {
+        return [change.breaking ? 'breaking' : 'non-breaking', change.code, change.methodName, change.location].join(' ');
+    });
+}
+
+vows.describe('Diff').addBatch({
+    'Identical documents': {
+        'have no changes': function() {
+            assert.deepEqual(diff.diff({ swagger: pets }, { swagger: JSON.parse(JSON.stringify(pets)) }), []);
+        }
+    },
+    'Operations': {
+        'removed operations and renamed methods break the clients': function() {
+            assert.deepEqual(changes(pets, function(modified) {
+                delete modified.paths['/pets'].post;
+                modified.paths['/pets/{petId}'].get.operationId = 'getPet';
+            }), [
+                'breaking operation-removed createPets ',
+                'breaking method-renamed getPet '
+            ]);
+        },
+        'added operations do not': function() {
+            assert.deepEqual(changes(pets, function(modified) {
+                modified.paths['/pets/{petId}'].delete = { operationId: 'deletePet', responses: { 204: { description: 'Deleted' } } };
+            }), ['non-breaking operation-added deletePet ']);
+        }
+    },
+    'Parameters': {
+        'new required parameters break the clients, new optional parameters do not': function() {
+            assert.deepEqual(changes(pets, function(modified) {
+                modified.paths['/pets'].get.parameters[0].required = true;
+                modified.paths['/pets'].get.parameters.push({ name: 'owner', in: 'query', required: true, schema: { type: 'string' } });
+                modified.paths['/pets'].get.parameters.push({ name: 'sort', in: 'query', schema: { type: 'string' } });
+            }), [
+                'breaking parameter-required listPets parameters.limit',
+                'breaking parameter-added listPets parameters.owner',
+                'non-breaking parameter-added listPets parameters.sort'
+            ]);
+        },
+        'changed types break the clients': function() {
+            assert.deepEqual(changes(pets, function(modified) {
+                modified.components.parameters.petId.schema = { type: 'integer' };
+            }), [
+                'breaking type-changed showPetById parameters.petId',
+                'breaking type-changed updatePet parameters.petId',
+                'breaking type-changed uploadPhoto parameters.petId'
+            ]);
+        }
+    },
+    'Schemas': {
+        topic: function() {
+            return changes(pets, function(modified) {
+                modified.components.schemas.Pet.properties.tag.enum = ['dog', 'fish'];
+            });
+        },
+        'narrowed enums of the requests and widened enums of the responses break the clients': function(list) {
+            assert.deepEqual(list.filter(function(change) { return change.indexOf('createPets') !== -1; }), [
+                'breaking enum-narrowed createPets parameters.pet.tag',
+                'breaking enum-widened createPets responses.201.tag',
+                'non-breaking enum-widened createPets parameters.pet.tag',
+                'non-breaking enum-narrowed createPets responses.201.tag'
+            ]);
+        },
+        'enum values are compared as they are declared': function() {
+            var quoted = JSON.parse(JSON.stringify(pets));
+            quoted.components.schemas.Pet.properties.tag.enum = ['x | y', 'dog'];
+            assert.deepEqual(changes(quoted, function(modified) {
+                modified.components.schemas.Pet.properties.tag.enum = ['x | y'];
+            }).filter(function(change) { return change.indexOf('createPets parameters') !== -1; }), [
+                'breaking enum-narrowed createPets parameters.pet.tag'
+            ]);
+        },
+        'changed response schemas break the clients, added response properties do not': function() {
+            assert.deepEqual(changes(uber, function(modified) {
+                delete modified.definitions.Profile.properties.email;
+                modified.definitions.Profile.properties.phone = { type: 'string' };
+            }), [
+                'breaking property-removed getMe responses.200.email',
+                'non-breaking property-added getMe responses.200.phone'
+            ]);
+        }
+    },
+    'Reports': {
+        'list the breaking changes first': function() {
+            assert.deepEqual(diff.format([
+                { breaking: true, code: 'operation-removed', operation: 'POST /pets', methodName: 'createPets', location: '', message: 'operation was removed' },
+                { breaking: false, code: 'parameter-added', operation: 'GET /pets', methodName: 'listPets', location: 'parameters.sort', message: 'query parameter was added' }
+            ]), [
+                'BREAKING: POST /pets (createPets) operation was removed',
+                'non-breaking: GET /pets (listPets) parameters.sort query parameter was added'
+            ]);
+        }
+    }
+}).export(module);
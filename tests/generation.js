@@ -62,6 +62,11 @@ list.forEach(function(file){
             swagger: swagger
         });
         assert(typeof(result), 'string');
+        result = CodeGen.getNodeLegacyCode({
+            className: 'Test',
+            swagger: swagger
+        });
+        assert(typeof(result), 'string');
         result = CodeGen.getReactCode({
 		moduleName: 'Test',
 		className: 'Test',
@@ -83,7 +88,7 @@ list.forEach(function(file){
         });
         assert(typeof(result), 'string');
         assert(typeof(result), 'string');
-        if(swagger.swagger === '2.0') {
+        if(swagger.swagger === '2.0' || swagger.openapi) {
             result = CodeGen.getTypescriptCode({
                 moduleName: 'Test',
                 className: 'Test',
@@ -92,6 +97,11 @@ list.forEach(function(file){
             });
             assert(compileString('typescript generation: ' + file, result), 'typescript compilation failed');
             assert(typeof(result), 'string');
+            result = CodeGen.getMockServerCode({
+                className: 'Test',
+                swagger: swagger
+            });
+            assert(typeof(result), 'string');
         }
         result = CodeGen.getCustomCode({
             moduleName: 'Test',
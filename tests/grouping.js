@@ -0,0 +1,50 @@
+'use strict';
+
+var assert = require('assert');
+var vows = require('vows');
+
+var grouping = require('../lib/grouping');
+
+var op = { tags: ['Pet Store', 'pets_admin', 'pet-store'], 'x-controller': 'Inventory' };
+
+vows.describe('Grouping').addBatch({
+    'Names': {
+        'are sanitized into file and identifier safe names': function() {
+            assert.equal(grouping.sanitize('Pet Store'), 'pet-store');
+            assert.equal(grouping.sanitize('pets_admin'), 'pets-admin');
+            assert.equal(grouping.sanitize('  /v2/Pets!'), 'v2-pets');
+            assert.equal(grouping.sanitize('***'), '');
+        }
+    },
+    'Strategies': {
+        'first tag by default': function() {
+            assert.deepEqual(grouping.getDestinations(op, '/pets', {}, {}), ['pet-store']);
+        },
+        'every tag is rejected, an operation is routed to a single controller': function() {
+            assert.throws(function() {
+                grouping.getDestinations(op, '/pets', {}, { grouping: 'tags' });
+            }, /Unsupported grouping: tags, an operation is routed to a single controller/);
+        },
+        'x-controller of the operation, then of its path': function() {
+            assert.deepEqual(grouping.getDestinations(op, '/pets', {}, { grouping: 'x-controller' }), ['inventory']);
+            assert.deepEqual(grouping.getDestinations({}, '/pets', { 'x-controller': 'Stock' }, { grouping: 'x-controller' }), ['stock']);
+        },
+        'first literal path segment': function() {
+            assert.deepEqual(grouping.getDestinations(op, '/owners/{ownerId}/pets', {}, { grouping: 'path' }), ['owners']);
+        },
+        'unknown strategies are rejected': function() {
+            assert.throws(function() {
+                grouping.getDestinations(op, '/pets', {}, { grouping: 'operationId' });
+            }, /Unsupported grouping: operationId/);
+        }
+    },
+    'Fallback': {
+        'untagged operations go to the default controller': function() {
+            assert.deepEqual(grouping.getDestinations({}, '/pets', {}, {}), ['default']);
+            assert.deepEqual(grouping.getDestinations({ tags: ['!!'] }, '/pets', {}, {}), ['default']);
+        },
+        'operations without literal segments go to the fallback controller': function() {
+            assert.deepEqual(grouping.getDestinations({}, '/{id}', {}, { grouping: 'path', fallbackController: 'Misc' }), ['misc']);
+        }
+    }
+}).export(module);
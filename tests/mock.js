@@ -0,0 +1,119 @@
+'use strict';
+/*global fetch */
+
+var assert = require('assert');
+var vows = require('vows');
+var fs = require('fs');
+var tmp = require('tmp');
+
+var CodeGen = require('../lib/codegen').CodeGen;
+
+/**
+ * Generate the mock server of a spec, start it on a free port and send it the given calls
+ */
+function serve(file, calls, callback) {
+    var swagger = JSON.parse(fs.readFileSync(__dirname + '/apis/' + file, 'UTF-8'));
+    var source = CodeGen.getMockServerCode({ className: 'Test', swagger: swagger });
+    var tmpFile = tmp.fileSync({ postfix: '.js', dir: __dirname });
+    fs.writeFileSync(tmpFile.fd, source);
+    var server = require(tmpFile.name).createServer();
+    tmpFile.removeCallback();
+
+    server.listen(0, function() {
+        var domain = 'http://localhost:' + server.address().port;
+        Promise.all(calls.map(function(call) {
+            return fetch(domain + call.path, call.init).then(function(response) {
+                return response.text().then(function(text) {
+                    return { status: response.status, body: text ? JSON.parse(text) : undefined };
+                });
+            });
+        })).then(function(results) {
+            server.close();
+            callback(null, results);
+        }, function(error) {
+            server.close();
+            callback(error);
+        });
+    });
+}
+
+vows.describe('Mock Server').addBatch({
+    'Routing': {
+        topic: function() {
+            serve('pets.json', [
+                { path: '/pets' },
+                { path: '/pets/1' },
+                { path: '/pets', init: { method: 'DELETE' } },
+                { path: '/owners' }
+            ], this.callback);
+        },
+        'answers with the first declared success': function(results) {
+            assert.equal(results[0].status, 200);
+            assert.deepEqual(results[0].body, [{ id: 0, name: 'string', tag: 'cat' }]);
+        },
+        'matches path parameters': function(results) {
+            assert.equal(results[1].status, 200);
+            assert.equal(results[1].body.name, 'string');
+        },
+        'rejects undeclared methods': function(results) {
+            assert.equal(results[2].status, 405);
+        },
+        'rejects undeclared paths': function(results) {
+            assert.equal(results[3].status, 404);
+        }
+    },
+    'Status selection': {
+        topic: function() {
+            serve('pets.json', [
+                { path: '/pets/1', init: { headers: { 'x-mock-status': '404' } } },
+                { path: '/pets/1?__status=503' },
+                { path: '/pets/1', init: { method: 'PUT', headers: { 'x-mock-status': '202' } } },
+                { path: '/pets', init: { headers: { 'x-mock-status': '500' } } }
+            ], this.callback);
+        },
+        'selects a declared status with a header': function(results) {
+            assert.equal(results[0].status, 404);
+            assert.deepEqual(results[0].body, { code: 0, message: 'string' });
+        },
+        'falls back to default with a query parameter': function(results) {
+            assert.equal(results[1].status, 503);
+            assert.deepEqual(results[1].body, { code: 0, message: 'string' });
+        },
+        'matches status ranges': function(results) {
+            assert.equal(results[2].status, 202);
+            assert.equal(results[2].body, undefined);
+        },
+        'rejects undeclared status codes': function(results) {
+            assert.equal(results[3].status, 501);
+        }
+    },
+    'Parameter checks': {
+        topic: function() {
+            serve('pets.json', [
+                { path: '/pets?limit=0' },
+                { path: '/pets?limit=10' },
+                {
+                    path: '/pets',
+                    init: { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"name":"","tag":"bird"}' }
+                },
+                { path: '/pets', init: { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{' } }
+            ], this.callback);
+        },
+        'query parameters are converted and checked': function(results) {
+            assert.equal(results[0].status, 400);
+            assert.deepEqual(results[0].body.errors, [{ path: 'parameters.limit', keyword: 'minimum', message: 'should be >= 1' }]);
+            assert.equal(results[1].status, 200);
+        },
+        'bodies are checked': function(results) {
+            assert.equal(results[2].status, 400);
+            assert.deepEqual(results[2].body.errors.map(function(error) { return error.path; }), [
+                'parameters.pet.id',
+                'parameters.pet.name',
+                'parameters.pet.tag'
+            ]);
+        },
+        'malformed bodies are rejected': function(results) {
+            assert.equal(results[3].status, 400);
+        }
+    }
+}).export(module);
@@ -0,0 +1,411 @@
+'use strict';
+/*global BigInt */
+
+var assert = require('assert');
+var vows = require('vows');
+var fs = require('fs');
+var tmp = require('tmp');
+var vm = require('vm');
+
+var CodeGen = require('../lib/codegen').CodeGen;
+
+var swagger = JSON.parse(fs.readFileSync(__dirname + '/apis/pets.json', 'UTF-8'));
+
+/**
+ * Generate the multi-class output of a document (the pets document by default) in a temporary directory
+ */
+function generate(options, callback) {
+    var tmpDir = tmp.dirSync({ unsafeCleanup: true });
+    var libraryFiles = fs.readdirSync(__dirname + '/../lib');
+    CodeGen.getNodeCode(Object.assign({
+        className: 'Test',
+        swagger: options.swagger || swagger,
+        multiple: true,
+        path: tmpDir.name,
+        controllersDirName: 'routes_generated',
+        definitionsDirName: 'definitions_generated'
+    }, options)).then(function() {
+        var container = tmpDir.name + '/routes_generated';
+        var controllers = {};
+        fs.readdirSync(container).filter(function(entry) {
+            return fs.existsSync(container + '/' + entry + '/' + entry + '.controller.js');
+        }).forEach(function(entry) {
+            controllers[entry] = fs.readFileSync(container + '/' + entry + '/' + entry + '.controller.js', 'UTF-8');
+        });
+        var written = fs.readdirSync(__dirname + '/../lib').filter(function(file) {
+            return libraryFiles.indexOf(file) === -1;
+        });
+        tmpDir.removeCallback();
+        callback(null, { controllers: controllers, written: written });
+    }, callback);
+}
+
+/**
+ * Files of a dry run of the multi-class generation (of the pets document by default), written to a temporary directory
+ */
+function dryRun(options) {
+    return CodeGen.getNodeCode(Object.assign({
+        className: 'Test',
+        swagger: swagger,
+        multiple: true,
+        dryRun: true
+    }, options)).then(function(files) {
+        var tmpDir = tmp.dirSync({ unsafeCleanup: true });
+        CodeGen.writeFiles(files, tmpDir.name);
+        return { files: files, tmpDir: tmpDir };
+    });
+}
+
+vows.describe('Multi-class Generation').addBatch({
+    'Controllers': {
+        topic: function() {
+            generate({}, this.callback);
+        },
+        'one controller per destination': function(result) {
+            assert.deepEqual(Object.keys(result.controllers), ['pets']);
+        },
+        'every method of the destination is rendered': function(result) {
+            ['listPets', 'createPets', 'showPetById', 'updatePet', 'uploadPhoto'].forEach(function(method) {
+                assert.ok(result.controllers.pets.indexOf('async ' + method + '(req, res) {') !== -1, method);
+            });
+        },
+        'controllers are valid scripts': function(result) {
+            assert.doesNotThrow(function() {
+                return new vm.Script(result.controllers.pets);
+            });
+        },
+        'nothing is written into the library': function(result) {
+            assert.deepEqual(result.written, []);
+        }
+    },
+    'Controllers of the x-controller extension': {
+        topic: function() {
+            var grouped = JSON.parse(JSON.stringify(swagger));
+            grouped.paths['/pets'].get['x-controller'] = 'Pet Store';
+            generate({ swagger: grouped, grouping: 'x-controller', fallbackController: 'pets', framework: 'koa' }, this.callback);
+        },
+        'an operation is rendered in its controller only': function(result) {
+            assert.deepEqual(Object.keys(result.controllers).sort(), ['pet-store', 'pets']);
+            assert.ok(result.controllers['pet-store'].indexOf('async listPets(ctx, next) {') !== -1);
+            assert.equal(result.controllers['pet-store'].indexOf('showPetById'), -1);
+            assert.equal(result.controllers.pets.indexOf('listPets'), -1);
+        }
+    },
+    'Controllers of every tag': {
+        topic: function() {
+            var callback = this.callback;
+            CodeGen.getNodeCode({ className: 'Test', swagger: swagger, multiple: true, dryRun: true, grouping: 'tags' }).then(function() {
+                callback(new Error('expected a rejection'));
+            }, function(error) {
+                callback(null, error);
+            });
+        },
+        'are rejected, an operation is routed to a single controller': function(error) {
+            assert.match(error.message, /Unsupported grouping: tags/);
+        }
+    },
+    'Dry run': {
+        topic: function() {
+            var callback = this.callback;
+            CodeGen.getNodeCode({
+                className: 'Test',
+                swagger: swagger,
+                multiple: true,
+                dryRun: true
+            }).then(function(files) {
+                callback(null, files);
+            }, callback);
+        },
+        'returns every file by relative path': function(files) {
+            assert.deepEqual(Object.keys(files).sort(), [
+                'definitions_generated/Error/Error.js',
+                'definitions_generated/FieldValidator.js',
+                'definitions_generated/Pet/Pet.js',
+                'definitions_generated/Pets/Pets.js',
+                'definitions_generated/converters.js',
+                'definitions_generated/index.js',
+                'definitions_generated/registry.js',
+                'definitions_generated/validator.js',
+                'routes_generated/index.js',
+                'routes_generated/pets/pets.controller.js',
+                'routes_generated/pets/pets.routes.js'
+            ]);
+            assert.ok(files['routes_generated/pets/pets.controller.js'].indexOf('async listPets(req, res) {') !== -1);
+        },
+        'the files are written by a separate step': function(files) {
+            var tmpDir = tmp.dirSync({ unsafeCleanup: true });
+            var written = CodeGen.writeFiles(files, tmpDir.name);
+            assert.equal(written.length, 11);
+            assert.equal(fs.readFileSync(tmpDir.name + '/definitions_generated/Pet/Pet.js', 'UTF-8'),
+                files['definitions_generated/Pet/Pet.js']);
+            tmpDir.removeCallback();
+        }
+    },
+    'Definitions': {
+        topic: function() {
+            var callback = this.callback;
+            var results = [];
+            dryRun({}).then(function(generated) {
+                var Pet = require(generated.tmpDir.name + '/definitions_generated/Pet/Pet');
+                return new Pet({}, {}, { id: 1, name: 'Rex', tag: 'dog' }).validate().then(function() {
+                    results.push(null);
+                    return new Pet({}, {}, { id: 1.5, name: '', tag: 'bird' }).validate();
+                }).catch(function(error) {
+                    results.push(error);
+                }).then(function() {
+                    generated.tmpDir.removeCallback();
+                    callback(null, results);
+                });
+            }).catch(callback);
+        },
+        'valid parameters pass': function(results) {
+            assert.equal(results[0], null);
+        },
+        'every violation of the schema is listed with its path': function(results) {
+            assert.equal(results[1].name, 'ValidationError');
+            assert.deepEqual(results[1].errors.map(function(error) { return error.path + ' ' + error.keyword; }), [
+                'Pet.id type',
+                'Pet.name minLength',
+                'Pet.tag enum'
+            ]);
+        }
+    },
+    'Schemas': {
+        topic: function() {
+            var large = JSON.parse(JSON.stringify(swagger));
+            large.components.schemas.Pet.properties.tag.enum = Array.from({ length: 150 }, function(value, i) { return 'tag' + i; });
+            large.components.schemas.Pet.properties.name.description = new Array(20001).join('x');
+            var callback = this.callback;
+            dryRun({ swagger: large }).then(function(generated) {
+                var Pet = require(generated.tmpDir.name + '/definitions_generated/Pet/Pet');
+                var schema = new Pet({}, {}, {}).schema;
+                generated.tmpDir.removeCallback();
+                callback(null, { schema: schema, expected: large.components.schemas.Pet });
+            }).catch(callback);
+        },
+        'are embedded whole in the definitions': function(result) {
+            assert.deepEqual(result.schema, result.expected);
+        }
+    },
+    'Formats': {
+        topic: function() {
+            // the location of an item is another definition class, registered by the index
+            var inventory = JSON.parse(fs.readFileSync(__dirname + '/apis/inventory.json', 'UTF-8'));
+            var callback = this.callback;
+            dryRun({ swagger: inventory }).then(function(generated) {
+                var Item = require(generated.tmpDir.name + '/definitions_generated').classes.Item;
+                return new Item({}, {}, { name: 'Box', updatedAt: 'yesterday' }).validate().then(function() {
+                    generated.tmpDir.removeCallback();
+                    callback(new Error('expected a rejection'));
+                }, function(error) {
+                    generated.tmpDir.removeCallback();
+                    callback(null, error);
+                });
+            }).catch(callback);
+        },
+        'are checked': function(error) {
+            assert.deepEqual(error.errors, [{ path: 'Item.updatedAt', keyword: 'format', message: 'should be a valid date-time' }]);
+        }
+    },
+    'Registry': {
+        topic: function() {
+            var secured = JSON.parse(JSON.stringify(swagger));
+            secured.components.parameters.petId['x-AuthFieldType'] = 'petOwner';
+            var callback = this.callback;
+            dryRun({ swagger: secured }).then(function(generated) {
+                var definitions = require(generated.tmpDir.name + '/definitions_generated');
+                var Controller = require(generated.tmpDir.name + '/routes_generated/pets/pets.controller');
+                var checked = [];
+                var controller = new Controller({
+                    fieldValidator: {
+                        validate: function(type, value) {
+                            checked.push(type + ' ' + value);
+                            return Promise.resolve(false);
+                        }
+                    }
+                });
+                return controller.showPetById({ params: { petId: '7' }, query: {}, headers: {} }, {}).then(function() {
+                    var result = {
+                        classes: Object.keys(definitions.classes).sort(),
+                        types: definitions.FieldValidator.types,
+                        checked: checked,
+                        unregistered: null
+                    };
+                    try {
+                        new Controller().fieldValidator.validate('petOwner', '7');
+                    } catch (error) {
+                        result.unregistered = error.message;
+                    }
+                    generated.tmpDir.removeCallback();
+                    callback(null, result);
+                });
+            }).catch(callback);
+        },
+        'the index registers every definition': function(result) {
+            assert.deepEqual(result.classes, ['Error', 'Pet', 'Pets']);
+        },
+        'the FieldValidator lists the types of the document': function(result) {
+            assert.deepEqual(result.types, ['petOwner']);
+        },
+        'the controllers use the injected FieldValidator': function(result) {
+            assert.deepEqual(result.checked, ['petOwner 7']);
+        },
+        'a FieldValidator must be registered otherwise': function(result) {
+            assert.match(result.unregistered, /No FieldValidator registered/);
+        }
+    },
+    'Routes': {
+        topic: function() {
+            // shipments list items, built by the registry from a route module that only requires the definitions index
+            var inventory = JSON.parse(fs.readFileSync(__dirname + '/apis/inventory.json', 'UTF-8'));
+            inventory.paths['/shipments'] = {
+                post: {
+                    tags: ['Shipments'],
+                    operationId: 'createShipment',
+                    requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Shipment' } } } },
+                    responses: { 201: { description: 'Created' } }
+                }
+            };
+            var secured = JSON.parse(JSON.stringify(swagger));
+            secured.components.schemas.Pet.properties.name['x-AuthFieldType'] = 'petName';
+            var response = function() {
+                return { writeHead: function(status) { this.status = status; }, end: function(body) { this.body = body; } };
+            };
+            var preHandler = function(routes, method) {
+                return routes.find(function(route) { return route.method === method; }).preHandler;
+            };
+            var validator = function(name, checked) {
+                return {
+                    validate: function(type, schemaType, value) {
+                        checked.push(name + ' ' + type + ' ' + value);
+                        return Promise.resolve(value);
+                    }
+                };
+            };
+            var request = function(body) {
+                return { params: {}, query: {}, headers: {}, body: body };
+            };
+            var callback = this.callback;
+            Promise.all([
+                dryRun({ swagger: inventory, framework: 'http' }),
+                dryRun({ swagger: secured, framework: 'http' })
+            ]).then(function(generated) {
+                var shipmentResponse = response();
+                var shipments = require(generated[0].tmpDir.name + '/routes_generated/shipments/shipments.routes')({});
+                var checked = { first: [], second: [] };
+                var first = require(generated[1].tmpDir.name + '/routes_generated/pets/pets.routes')({ fieldValidator: validator('first', checked.first) });
+                var second = require(generated[1].tmpDir.name + '/routes_generated/pets/pets.routes')({ fieldValidator: validator('second', checked.second) });
+                return preHandler(shipments, 'POST')(request({ items: [{ name: 'Box', location: { aisle: '4' } }] }), shipmentResponse).then(function(shipment) {
+                    return preHandler(first, 'POST')(request({ id: 1, name: 'Rex' }), response()).then(function() {
+                        return preHandler(second, 'POST')(request({ id: 2, name: 'Felix' }), response());
+                    }).then(function() {
+                        generated[0].tmpDir.removeCallback();
+                        generated[1].tmpDir.removeCallback();
+                        callback(null, { shipment: shipment, shipmentResponse: shipmentResponse, checked: checked });
+                    });
+                });
+            }).catch(callback);
+        },
+        'nested definitions are built from the registry': function(result) {
+            assert.equal(result.shipmentResponse.body, undefined);
+            assert.equal(result.shipment, true);
+        },
+        'the definitions use the FieldValidator of their controller': function(result) {
+            assert.ok(result.checked.first.length > 0);
+            assert.ok(result.checked.second.length > 0);
+            assert.ok(result.checked.first.every(function(check) { return check === 'first petName Rex'; }));
+            assert.ok(result.checked.second.every(function(check) { return check === 'second petName Felix'; }));
+        }
+    },
+    'Converters': {
+        topic: function() {
+            var rows = {
+                openapi: '3.0.0',
+                info: { title: 'Rows', version: '1.0.0' },
+                paths: {
+                    '/rows': {
+                        post: {
+                            tags: ['rows'],
+                            operationId: 'createRow',
+                            requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Row' } } } },
+                            responses: { 200: { description: 'Created' } }
+                        }
+                    }
+                },
+                components: {
+                    schemas: {
+                        Row: {
+                            type: 'object',
+                            properties: {
+                                createdAt: { type: 'string', format: 'date-time' },
+                                shippedAt: { type: 'string', format: 'date-time', 'x-converter': 'mysql-datetime' },
+                                id: { type: 'integer', format: 'int64' },
+                                active: { type: 'boolean' },
+                                settings: { type: 'object', 'x-json-column': true },
+                                code: { type: 'string', 'x-converter': 'upper' },
+                                name: { type: 'string' }
+                            }
+                        }
+                    }
+                }
+            };
+            var callback = this.callback;
+            dryRun({
+                swagger: rows,
+                converters: { int64: 'bigint', boolean: 'tinyint', 'x-json-column': 'json-string' }
+            }).then(function(generated) {
+                require(generated.tmpDir.name + '/definitions_generated/converters').register('upper', function(value) {
+                    return value.toUpperCase();
+                });
+                var Row = require(generated.tmpDir.name + '/definitions_generated/Row/Row');
+                var row = new Row({}, {}, {
+                    createdAt: '2020-01-31T10:00:00Z',
+                    shippedAt: '2020-01-31T10:00:00+02:00',
+                    id: '9007199254740993',
+                    active: true,
+                    settings: { theme: 'dark' },
+                    code: 'abc',
+                    name: 'Row'
+                });
+                generated.tmpDir.removeCallback();
+                callback(null, { files: generated.files, data: row.data });
+            }).catch(callback);
+        },
+        'the generated code calls the converters by name': function(topic) {
+            var row = topic.files['definitions_generated/Row/Row.js'];
+            assert.ok(row.indexOf('this.data[\'id\'] = converters.convert(\'bigint\', params[\'id\']);') !== -1);
+            assert.ok(row.indexOf('this.data[\'name\'] = params[\'name\'];') !== -1);
+        },
+        'formats, types and vendor extensions are converted': function(topic) {
+            assert.deepEqual(topic.data, {
+                createdAt: '2020-01-31 10:00:00',
+                shippedAt: '2020-01-31 08:00:00.000',
+                id: BigInt('9007199254740993'),
+                active: 1,
+                settings: '{"theme":"dark"}',
+                code: 'ABC',
+                name: 'Row'
+            });
+        }
+    },
+    'Regeneration': {
+        topic: function() {
+            var tmpDir = tmp.dirSync({ unsafeCleanup: true });
+            var options = { className: 'Test', swagger: swagger, multiple: true, path: tmpDir.name };
+            var file = 'routes_generated/pets/pets.controller.js';
+            var callback = this.callback;
+            CodeGen.getNodeCode(options).then(function() {
+                var content = fs.readFileSync(tmpDir.name + '/' + file, 'UTF-8')
+                    .replace('// protected-region-start: method:listPets\n', '// protected-region-start: method:listPets\nreturn dal.list();\n');
+                fs.writeFileSync(tmpDir.name + '/' + file, content);
+                return CodeGen.getNodeCode(Object.assign({ dryRun: true }, options));
+            }).then(function(files) {
+                tmpDir.removeCallback();
+                callback(null, files[file]);
+            }).catch(callback);
+        },
+        'hand-written code is kept': function(controller) {
+            assert.ok(controller.indexOf('// protected-region-start: method:listPets\nreturn dal.list();\n') !== -1);
+        }
+    }
+}).export(module);
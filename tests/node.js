@@ -0,0 +1,242 @@
+'use strict';
+/*global FormData, Headers */
+
+var assert = require('assert');
+var vows = require('vows');
+var fs = require('fs');
+var tmp = require('tmp');
+
+var CodeGen = require('../lib/codegen').CodeGen;
+
+/**
+ * Generate the Node client of a spec (a file of tests/apis or a document) and load it
+ */
+function load(file, options) {
+    var swagger = typeof file === 'string' ? JSON.parse(fs.readFileSync(__dirname + '/apis/' + file, 'UTF-8')) : file;
+    var source = CodeGen.getNodeCode(Object.assign({ className: 'Test', swagger: swagger }, options));
+    var tmpFile = tmp.fileSync({ postfix: '.js', dir: __dirname });
+    fs.writeFileSync(tmpFile.fd, source);
+    var Test = require(tmpFile.name).Test;
+    tmpFile.removeCallback();
+    return Test;
+}
+
+/**
+ * fetch stand-in recording the calls and answering with the given status and JSON body (application/json by default)
+ */
+function fakeFetch(calls, status, body, contentType) {
+    return function(url, init) {
+        calls.push({ url: url, init: init });
+        return Promise.resolve({
+            status: status,
+            headers: new Headers({ 'content-type': contentType || 'application/json' }),
+            text: function() { return Promise.resolve(JSON.stringify(body)); }
+        });
+    };
+}
+
+vows.describe('Node Client').addBatch({
+    'Successful calls': {
+        topic: function() {
+            var Test = load('pets.json');
+            var calls = [];
+            var client = new Test({ domain: 'http://pets.test', fetch: fakeFetch(calls, 200, { id: 1, name: 'Rex' }) });
+            var callback = this.callback;
+            client.listPets({ limit: 10 }).then(function(first) {
+                return client.createPets({ pet: { name: 'Rex' } }).then(function(second) {
+                    callback(null, { calls: calls, results: [first, second] });
+                });
+            }, callback);
+        },
+        'resolve with the parsed body': function(topic) {
+            assert.deepEqual(topic.results[0].body, { id: 1, name: 'Rex' });
+            assert.equal(topic.results[0].response.status, 200);
+            assert.equal(topic.results[0].status, 200);
+            assert.deepEqual(topic.results[0].headers, { 'content-type': 'application/json' });
+        },
+        'send the query parameters': function(topic) {
+            assert.equal(topic.calls[0].url, 'http://pets.test/pets?limit=10');
+            assert.equal(topic.calls[0].init.method, 'GET');
+        },
+        'send JSON bodies': function(topic) {
+            assert.equal(topic.calls[1].init.body, '{"name":"Rex"}');
+            assert.equal(topic.calls[1].init.headers['Content-Type'], 'application/json');
+        }
+    },
+    'Swagger 2.0 query parameters': {
+        topic: function() {
+            var uber = JSON.parse(fs.readFileSync(__dirname + '/apis/uber.json', 'UTF-8'));
+            uber.paths['/history'].get.parameters[1].default = 5;
+            var Test = load(uber);
+            var calls = [];
+            var client = new Test({ domain: 'http://uber.test', fetch: fakeFetch(calls, 200, {}) });
+            var callback = this.callback;
+            client.getHistory({ offset: 10 }).then(function() {
+                return client.getHistory({ limit: 20 });
+            }).then(function() {
+                callback(null, calls);
+            }, callback);
+        },
+        'send their default value': function(calls) {
+            assert.equal(calls[0].url, 'http://uber.test/history?offset=10&limit=5');
+        },
+        'send the given value over the default': function(calls) {
+            assert.equal(calls[1].url, 'http://uber.test/history?limit=20');
+        }
+    },
+    'Request content types': {
+        topic: function() {
+            var Test = load('pets.json');
+            var calls = [];
+            var client = new Test({ domain: 'http://pets.test', fetch: fakeFetch(calls, 204) });
+            var callback = this.callback;
+            var pet = { id: 1, name: 'Rex' };
+            client.updatePet({ petId: '1', pet: pet }).then(function() {
+                return client.updatePet({ petId: '1', pet: pet, $contentType: 'application/x-www-form-urlencoded' });
+            }).then(function() {
+                return client.updatePet({ petId: '1', pet: pet, $contentType: 'multipart/form-data' });
+            }).then(function() {
+                return client.updatePet({ petId: '1', pet: pet, $contentType: 'text/plain' });
+            }).then(function() {
+                callback(new Error('expected a rejection'));
+            }, function(error) {
+                callback(null, { calls: calls, error: error });
+            });
+        },
+        'default to the first declared type': function(topic) {
+            assert.equal(topic.calls[0].init.headers['Content-Type'], 'application/json');
+            assert.equal(topic.calls[0].init.body, '{"id":1,"name":"Rex"}');
+        },
+        'serialize urlencoded bodies': function(topic) {
+            assert.equal(topic.calls[1].init.headers['Content-Type'], 'application/x-www-form-urlencoded');
+            assert.equal(topic.calls[1].init.body, 'id=1&name=Rex');
+        },
+        'serialize multipart bodies': function(topic) {
+            assert.ok(topic.calls[2].init.body instanceof FormData);
+            assert.equal(topic.calls[2].init.body.get('name'), 'Rex');
+            assert.equal(topic.calls[2].init.headers['Content-Type'], undefined);
+        },
+        'reject undeclared types': function(topic) {
+            assert.equal(topic.calls.length, 3);
+            assert.equal(topic.error.message, 'Unsupported content type: text/plain');
+        }
+    },
+    'Request validation': {
+        topic: function() {
+            var Test = load('pets.json', { validateRequests: true });
+            var calls = [];
+            var client = new Test({ domain: 'http://pets.test', fetch: fakeFetch(calls, 201, { id: 1, name: 'Rex' }) });
+            var callback = this.callback;
+            client.createPets({ pet: { name: '', tag: 'bird' } }).then(function() {
+                callback(new Error('expected a rejection'));
+            }, function(error) {
+                callback(null, { calls: calls, error: error });
+            });
+        },
+        'rejects before sending the request': function(topic) {
+            assert.equal(topic.calls.length, 0);
+            assert.equal(topic.error.name, 'ValidationError');
+        },
+        'lists every violation with its path': function(topic) {
+            assert.deepEqual(topic.error.errors.map(function(error) { return error.path + ' ' + error.keyword; }), [
+                'parameters.pet.id required',
+                'parameters.pet.name minLength',
+                'parameters.pet.tag enum'
+            ]);
+        }
+    },
+    'Response validation': {
+        topic: function() {
+            var Test = load('pets.json', { validateResponses: true });
+            var callback = this.callback;
+            var rejection = function(client, parameters) {
+                return client.showPetById(parameters).then(function() {
+                    throw new Error('expected a rejection');
+                }, function(error) {
+                    return error;
+                });
+            };
+            var client = new Test({ domain: 'http://pets.test', fetch: fakeFetch([], 200, { id: 'one' }) });
+            var failing = new Test({ domain: 'http://pets.test', fetch: fakeFetch([], 404, { message: 'Not found' }) });
+            var valid = new Test({ domain: 'http://pets.test', fetch: fakeFetch([], 200, { id: 1, name: 'Rex' }) });
+            Promise.all([
+                rejection(client, { petId: '1' }),
+                rejection(failing, { petId: '1' }),
+                valid.showPetById({ petId: '1' })
+            ]).then(function(results) {
+                callback(null, results);
+            }, callback);
+        },
+        'checks the body of successful responses': function(results) {
+            assert.deepEqual(results[0].errors, [
+                { path: 'response.body.name', keyword: 'required', message: 'is required' },
+                { path: 'response.body.id', keyword: 'type', message: 'should be integer' }
+            ]);
+        },
+        'checks the body of error responses': function(results) {
+            assert.equal(results[1].name, 'ValidationError');
+            assert.equal(results[1].errors[0].path, 'response.body.code');
+        },
+        'accepts valid responses': function(results) {
+            assert.equal(results[2].body.name, 'Rex');
+        }
+    },
+    'Failed calls': {
+        topic: function() {
+            var Test = load('pets.json');
+            var client = new Test({ domain: 'http://pets.test', fetch: fakeFetch([], 404, { code: 404, message: 'Not found' }) });
+            var callback = this.callback;
+            client.showPetById({ petId: '1' }).then(function() {
+                callback(new Error('expected a rejection'));
+            }, function(error) {
+                callback(null, { Test: Test, error: error });
+            });
+        },
+        'reject with the response and body': function(topic) {
+            assert.ok(topic.error instanceof Error);
+            assert.equal(topic.error.response.status, 404);
+            assert.deepEqual(topic.error.body, { code: 404, message: 'Not found' });
+        },
+        'reject with an HttpError carrying the status and headers': function(topic) {
+            assert.ok(topic.error instanceof topic.Test.HttpError);
+            assert.equal(topic.error.status, 404);
+            assert.deepEqual(topic.error.headers, { 'content-type': 'application/json' });
+        }
+    },
+    'JSON media types': {
+        topic: function() {
+            var Test = load('pets.json');
+            var client = new Test({ domain: 'http://pets.test', fetch: fakeFetch([], 200, { id: 1, name: 'Rex' }, 'application/vnd.api+json') });
+            var failing = new Test({ domain: 'http://pets.test', fetch: fakeFetch([], 404, { code: 404, message: 'Not found' }, 'application/problem+json') });
+            var callback = this.callback;
+            client.showPetById({ petId: '1' }).then(function(result) {
+                return failing.showPetById({ petId: '1' }).then(function() {
+                    callback(new Error('expected a rejection'));
+                }, function(error) {
+                    callback(null, [result, error]);
+                });
+            }, callback);
+        },
+        'parse the +json bodies': function(results) {
+            assert.deepEqual(results[0].body, { id: 1, name: 'Rex' });
+        },
+        'parse the problem details of errors': function(results) {
+            assert.deepEqual(results[1].body, { code: 404, message: 'Not found' });
+        }
+    },
+    'Missing parameters': {
+        topic: function() {
+            var Test = load('pets.json');
+            var client = new Test({ domain: 'http://pets.test', fetch: fakeFetch([], 200, {}) });
+            var callback = this.callback;
+            client.showPetById({}).then(function() {
+                callback(new Error('expected a rejection'));
+            }, function(error) {
+                callback(null, error);
+            });
+        },
+        'are rejected': function(error) {
+            assert.equal(error.message, 'Missing required path parameter: petId');
+        }
+    }
+}).export(module);
@@ -0,0 +1,126 @@
+'use strict';
+
+var assert = require('assert');
+var vows = require('vows');
+
+var querier = require('../lib/querier');
+
+function query(method, options) {
+    var view = {
+        definitions: ['Pet'],
+        methods: [Object.assign({
+            parameters: [
+                { name: 'petId', in: 'path' },
+                { name: 'pet', in: 'body' }
+            ]
+        }, method)]
+    };
+    return querier(view, options).methods[0].query;
+}
+
+function queries(methods) {
+    return querier({ definitions: ['Pet'], methods: methods }).methods.map(function(method) {
+        return method.query;
+    });
+}
+
+var cached = [{
+    methodName: 'listPets',
+    parameters: [{ name: 'limit', in: 'query' }, { name: 'tag', in: 'query' }],
+    database: { cache: { ttl: 60, key: ['tag', 'limit'] }, operationId: 'list-pets', tags: ['pets'] }
+}, {
+    methodName: 'showPet',
+    parameters: [{ name: 'petId', in: 'path' }],
+    database: { cache: { ttl: 0 }, tags: ['pets'] }
+}, {
+    methodName: 'petsUpdate',
+    parameters: [{ name: 'pet', in: 'body' }],
+    database: { cache: { invalidates: ['list-pets', 'pets'] }, tags: ['admin'] }
+}];
+
+vows.describe('Querier').addBatch({
+    'Kinds': {
+        'methods named after a verb call a procedure': function() {
+            assert.equal(query({ methodName: 'petsUpdate' }),
+                'const results = await dal.query("CALL SP_petsUpdate(?, ?)", [petId, pet.data], { redis: false });');
+        },
+        'other methods select a function': function() {
+            assert.equal(query({ methodName: 'showPet' }),
+                'const results = await dal.query("SELECT FN_showPet(?, ?) as Response", [petId, pet.data], { redis: true });');
+        },
+        'the verbs are configurable': function() {
+            assert.ok(query({ methodName: 'petsUpdate' }, { procedureVerbs: ['show'] }).indexOf('"SELECT FN_petsUpdate(') !== -1);
+            assert.ok(query({ methodName: 'showPet' }, { procedureVerbs: ['show'] }).indexOf('"CALL SP_showPet(') !== -1);
+        }
+    },
+    'Overrides': {
+        'x-db-procedure names the procedure': function() {
+            assert.ok(query({ methodName: 'showPet', database: { procedure: 'pets_show' } }).indexOf('"CALL pets_show(?, ?)"') !== -1);
+        },
+        'x-db-function names the function': function() {
+            assert.ok(query({ methodName: 'petsUpdate', database: { function: 'pets_update' } })
+                .indexOf('"SELECT pets_update(?, ?) as Response"') !== -1);
+        },
+        'x-db-kind wins over the name of the method': function() {
+            assert.ok(query({ methodName: 'petsUpdate', database: { kind: 'function' } }).indexOf('"SELECT FN_petsUpdate(?, ?) as Response"') !== -1);
+            assert.ok(query({ methodName: 'showPet', database: { kind: 'procedure', function: 'unused' } })
+                .indexOf('"CALL SP_showPet(?, ?)"') !== -1);
+        },
+        'invalid kinds are rejected': function() {
+            assert.throws(function() {
+                query({ methodName: 'showPet', database: { kind: 'view' } });
+            }, /Invalid x-db-kind of showPet: view/);
+        }
+    },
+    'Cache': {
+        topic: function() {
+            return queries(cached);
+        },
+        'reads are cached for their ttl, under the key of their parameters': function(results) {
+            assert.ok(results[0].indexOf('{ redis: true, ttl: 60, key: [\'listPets\', tag, limit] });') !== -1);
+        },
+        'a ttl of 0 disables the cache': function(results) {
+            assert.ok(results[1].indexOf('{ redis: false });') !== -1);
+        },
+        'writes invalidate operations and tags': function(results) {
+            assert.ok(results[2].indexOf('{ redis: false, invalidates: [\'listPets\', \'showPet\'] });') !== -1);
+        },
+        'unknown keys and invalidated operations are rejected': function() {
+            assert.throws(function() {
+                queries([{ methodName: 'showPet', parameters: [], database: { cache: { key: 'petId' } } }]);
+            }, /Unknown parameter in x-cache-key of showPet: petId/);
+            assert.throws(function() {
+                queries([{ methodName: 'showPet', parameters: [], database: { cache: { invalidates: 'owners' } } }]);
+            }, /Unknown operation or tag in x-cache-invalidates of showPet: owners/);
+        },
+        'invalid ttls are rejected': function() {
+            assert.throws(function() {
+                queries([{ methodName: 'showPet', parameters: [], database: { cache: { ttl: '1 hour' } } }]);
+            }, /Invalid x-cache-ttl of showPet: 1 hour/);
+        }
+    },
+    'Dialects': {
+        'postgres numbers the placeholders': function() {
+            assert.equal(query({ methodName: 'showPet' }, { dialect: 'postgres' }),
+                'const results = await dal.query("SELECT FN_showPet($1, $2) as Response", [petId, pet.data], { redis: true });');
+        },
+        'named parameters are passed by name': function() {
+            assert.equal(query({ methodName: 'showPet' }, { dialect: 'named' }),
+                'const results = await dal.query("SELECT FN_showPet(:petId, :pet) as Response", { \'petId\': petId, \'pet\': pet.data }, { redis: true });');
+        },
+        'custom dialects override the call of the DAL': function() {
+            var dialect = {
+                call: function(sql, values) {
+                    return 'const results = await db.execute(`' + sql + '`, ' + values + ');';
+                }
+            };
+            assert.equal(query({ methodName: 'showPet' }, { dialect: dialect }),
+                'const results = await db.execute(`SELECT FN_showPet(?, ?) as Response`, [petId, pet.data]);');
+        },
+        'unknown dialects are rejected': function() {
+            assert.throws(function() {
+                query({ methodName: 'showPet' }, { dialect: 'oracle' });
+            }, /Unsupported dialect: oracle/);
+        }
+    }
+}).export(module);
@@ -0,0 +1,77 @@
+'use strict';
+
+var assert = require('assert');
+var vows = require('vows');
+
+var regions = require('../lib/regions');
+
+function region(id, body, indent) {
+    indent = indent || '';
+    return indent + '// protected-region-start: ' + id + '\n' + body + indent + '// protected-region-end: ' + id;
+}
+
+var previous = [
+    region('imports', 'const db = require(\'db\');\n'),
+    'class {',
+    '  list() {',
+    region('method:list', '    return db.list();\n', '    '),
+    '  }',
+    '  remove() {',
+    region('method:remove', '    return db.remove();\n', '    '),
+    '  }',
+    '}',
+    region('orphaned', '')
+].join('\n');
+
+var regenerated = [
+    region('imports', ''),
+    'class {',
+    '  // refreshed documentation',
+    '  list(limit) {',
+    region('method:list', '    return [];\n', '    '),
+    '  }',
+    '  create() {',
+    region('method:create', '    return null;\n', '    '),
+    '  }',
+    '}',
+    region('orphaned', '')
+].join('\n');
+
+vows.describe('Protected Regions').addBatch({
+    'Extraction': {
+        'contents are read by id': function() {
+            assert.deepEqual(regions.extract(previous), {
+                imports: 'const db = require(\'db\');\n',
+                'method:list': '    return db.list();\n',
+                'method:remove': '    return db.remove();\n',
+                orphaned: ''
+            });
+        },
+        'unterminated regions are ignored': function() {
+            assert.deepEqual(regions.extract('// protected-region-start: imports\nconst a = 1;\n// protected-region-end: dal'), {});
+        }
+    },
+    'Merge': {
+        topic: function() {
+            return regions.merge(regenerated, previous);
+        },
+        'the contents of the regions are kept': function(merged) {
+            assert.ok(merged.indexOf(region('imports', 'const db = require(\'db\');\n')) !== -1);
+            assert.ok(merged.indexOf(region('method:list', '    return db.list();\n', '    ')) !== -1);
+        },
+        'the code outside of the regions is refreshed': function(merged) {
+            assert.ok(merged.indexOf('  // refreshed documentation\n  list(limit) {') !== -1);
+            assert.ok(merged.indexOf(region('method:create', '    return null;\n', '    ')) !== -1);
+        },
+        'methods of removed operations are moved to the orphaned region': function(merged) {
+            var orphans = regions.extract(merged).orphaned;
+            assert.ok(orphans.indexOf('// remove: its operation was removed from the document') === 0);
+            assert.ok(orphans.indexOf('async function remove() {\n    return db.remove();\n}') !== -1);
+            assert.equal(merged.indexOf('protected-region-start: method:remove'), -1);
+        },
+        'orphans are kept by the next regenerations': function(merged) {
+            var again = regions.merge(regenerated, merged);
+            assert.equal(regions.extract(again).orphaned, regions.extract(merged).orphaned);
+        }
+    }
+}).export(module);
@@ -0,0 +1,85 @@
+'use strict';
+
+var assert = require('assert');
+var vows = require('vows');
+var fs = require('fs');
+var yaml = require('js-yaml').safeLoad;
+
+var resolver = require('../lib/resolver');
+var CodeGen = require('../lib/codegen').CodeGen;
+
+var file = __dirname + '/refs/store.yaml';
+var store = yaml(fs.readFileSync(file, 'UTF-8'));
+
+vows.describe('References').addBatch({
+    'JSON pointers': {
+        'escaped segments are decoded': function() {
+            assert.deepEqual(resolver.parsePointer('#/paths/~1users~1{id}/get'), ['paths', '/users/{id}', 'get']);
+            assert.deepEqual(resolver.parsePointer('#/definitions/a~0b'), ['definitions', 'a~b']);
+        },
+        'local references are resolved': function() {
+            var swagger = { paths: { '/users': { get: { operationId: 'listUsers' } } } };
+            assert.equal(resolver.resolve(swagger, '#/paths/~1users/get').operationId, 'listUsers');
+        },
+        'chained references are followed': function() {
+            var swagger = { parameters: { a: { $ref: '#/parameters/b' }, b: { name: 'b' } } };
+            assert.equal(resolver.deref(swagger, { $ref: '#/parameters/a' }).name, 'b');
+            assert.equal(resolver.deref(swagger, { $ref: 'b' }, ['parameters']).name, 'b');
+        },
+        'unknown references are reported': function() {
+            assert.throws(function() {
+                resolver.resolve({}, '#/definitions/Missing');
+            }, /Unable to resolve reference: #\/definitions\/Missing/);
+        }
+    },
+    'External files': {
+        topic: function() {
+            return resolver.bundle(store, file);
+        },
+        'referenced schemas are added to the components': function(bundled) {
+            assert.deepEqual(Object.keys(bundled.components.schemas), ['Customer', 'error', 'Order', 'Line']);
+            assert.equal(bundled.components.schemas.Line.properties.order.$ref, '#/components/schemas/Order');
+            assert.equal(bundled.components.schemas.Order.properties.customer.$ref, '#/components/schemas/Customer');
+        },
+        'other referenced objects are inlined': function(bundled) {
+            assert.equal(bundled.paths['/orders'].post.operationId, 'createOrder');
+            assert.equal(bundled.paths['/orders/{id}'].get.parameters[0].name, 'id');
+            assert.equal(bundled.paths['/orders/{id}'].get.responses['404'].description, 'Not found');
+        },
+        'references back to the root document become local': function(bundled) {
+            assert.equal(bundled.paths['/orders'].post.requestBody.$ref, '#/components/requestBodies/Order');
+        },
+        'the original document is left untouched': function() {
+            assert.equal(store.paths['/orders'].$ref, 'paths.yaml#/~1orders');
+        },
+        'every referenced file is listed': function() {
+            assert.deepEqual(resolver.getFiles(file).map(function(path) {
+                return path.slice(__dirname.length + 1);
+            }), [
+                'refs/store.yaml',
+                'refs/paths.yaml',
+                'refs/parameters.json',
+                'refs/responses.yaml',
+                'refs/schemas/order.json',
+                'refs/schemas/error.yaml'
+            ]);
+        }
+    },
+    'Generation': {
+        topic: function() {
+            return CodeGen.getTypescriptCode({
+                className: 'Test',
+                swagger: store,
+                swaggerPath: file
+            });
+        },
+        'schemas from other files are declared': function(code) {
+            assert.ok(/export interface Order/.test(code));
+            assert.ok(/export interface Line/.test(code));
+        },
+        'referenced request bodies and responses are typed': function(code) {
+            assert.ok(/'body' \? : Order/.test(code));
+            assert.equal(code.match(/Result = ResponseWithStatus < 20[01], Order >/g).length, 2);
+        }
+    }
+}).export(module);
@@ -0,0 +1,190 @@
+'use strict';
+
+var assert = require('assert');
+var vows = require('vows');
+var fs = require('fs');
+var tmp = require('tmp');
+var PassThrough = require('stream').PassThrough;
+
+var routes = require('../lib/routes');
+
+var methods = [{
+    destination: 'pets',
+    methodName: 'listPets',
+    method: 'GET',
+    path: '/pets',
+    parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer' } }]
+}, {
+    destination: 'pets',
+    methodName: 'updatePet',
+    method: 'PUT',
+    path: '/pets/{petId}',
+    parameters: [
+        { name: 'petId', in: 'path', schema: { type: 'string' } },
+        { name: 'pet', in: 'body', schema: { $ref: '#/components/schemas/Pet' } }
+    ]
+}, {
+    destination: 'owners',
+    methodName: 'showOwner',
+    method: 'GET',
+    path: '/owners/{ownerId}/pets/{petId}',
+    parameters: [{ name: 'filter', in: 'query', schema: { $ref: '#/components/schemas/Unknown' } }]
+}];
+
+vows.describe('Routes').addBatch({
+    'Paths': {
+        'path parameters become route parameters': function() {
+            assert.equal(routes.convertPath('/owners/{ownerId}/pets/{petId}'), '/owners/:ownerId/pets/:petId');
+            assert.equal(routes.convertPath('/pets'), '/pets');
+        }
+    },
+    'Route modules': {
+        topic: function() {
+            return routes.build(methods, ['Pet'], 'definitions_generated');
+        },
+        'one module per controller and an index': function(files) {
+            assert.deepEqual(Object.keys(files).sort(), ['index.js', 'owners/owners.routes.js', 'pets/pets.routes.js']);
+        },
+        'the index registers every module': function(files) {
+            assert.ok(files['index.js'].indexOf('await fastify.register(require(\'./pets/pets.routes\'), options);') !== -1);
+            assert.ok(files['index.js'].indexOf('await fastify.register(require(\'./owners/owners.routes\'), options);') !== -1);
+        },
+        'operations are registered with their verb and url': function(files) {
+            var pets = files['pets/pets.routes.js'];
+            assert.ok(/method: 'GET',\s*url: '\/pets',\s*handler: \(req, res\) => controller\.listPets\(req, res\)/.test(pets));
+            assert.ok(/method: 'PUT',\s*url: '\/pets\/:petId',\s*preHandler/.test(pets));
+        },
+        'referenced definitions validate the parameters': function(files) {
+            var pets = files['pets/pets.routes.js'];
+            assert.ok(pets.indexOf('const definitions = require(\'../../definitions_generated\');') !== -1);
+            assert.ok(pets.indexOf('const pet = new(definitions.getClass(\'Pet\'))(req, res, req.body, controller.options);') !== -1);
+            assert.ok(pets.indexOf('res.code(400).send({') !== -1);
+        },
+        'unknown definitions are not required': function(files) {
+            assert.equal(files['owners/owners.routes.js'].indexOf('Unknown'), -1);
+            assert.equal(files['owners/owners.routes.js'].indexOf('preHandler'), -1);
+        }
+    },
+    'Express modules': {
+        topic: function() {
+            return routes.build(methods, ['Pet'], 'definitions_generated', 'express');
+        },
+        'every module is a router': function(files) {
+            assert.ok(files['index.js'].indexOf('router.use(require(\'./pets/pets.routes\')(options));') !== -1);
+            assert.ok(files['pets/pets.routes.js'].indexOf('const router = express.Router();') !== -1);
+        },
+        'operations are registered with their verb and url': function(files) {
+            var pets = files['pets/pets.routes.js'];
+            assert.ok(/router\.get\('\/pets',\s*\(req, res\) => controller\.listPets\(req, res\)\);/.test(pets));
+            assert.ok(/router\.put\('\/pets\/:petId', async \(req, res, next\) => \{/.test(pets));
+        },
+        'invalid parameters are answered in the idiom of express': function(files) {
+            assert.ok(files['pets/pets.routes.js'].indexOf('res.status(400).json({') !== -1);
+        }
+    },
+    'Koa modules': {
+        topic: function() {
+            return routes.build(methods, ['Pet'], 'definitions_generated', 'koa');
+        },
+        'every module is a router': function(files) {
+            assert.ok(files['index.js'].indexOf('router.use(pets.routes(), pets.allowedMethods());') !== -1);
+            assert.ok(files['pets/pets.routes.js'].indexOf('const router = new Router();') !== -1);
+        },
+        'the context is handed to the controllers and the definitions': function(files) {
+            var pets = files['pets/pets.routes.js'];
+            assert.ok(/router\.get\('\/pets',\s*\(ctx, next\) => controller\.listPets\(ctx, next\)\);/.test(pets));
+            assert.ok(pets.indexOf('const pet = new(definitions.getClass(\'Pet\'))(ctx, ctx, ctx.request.body, controller.options);') !== -1);
+            assert.ok(/ctx\.status = 400;\s*ctx\.body = \{/.test(pets));
+        }
+    },
+    'Bare http modules': {
+        topic: function() {
+            return routes.build(methods, ['Pet'], 'definitions_generated', 'http');
+        },
+        'routes are matched by pattern': function(files) {
+            var pets = files['pets/pets.routes.js'];
+            assert.ok(pets.indexOf('pattern: new RegExp("^/pets/([^/]+)/?$"),') !== -1);
+            assert.ok(pets.indexOf('parameters: ["petId"],') !== -1);
+        },
+        'the index is a request listener': function(files) {
+            assert.ok(files['index.js'].indexOf('return async (req, res) => {') !== -1);
+            assert.ok(files['index.js'].indexOf('require(\'./pets/pets.routes\')(options)') !== -1);
+        },
+        'invalid parameters stop the request': function(files) {
+            var pets = files['pets/pets.routes.js'];
+            assert.ok(pets.indexOf('res.writeHead(400, {') !== -1);
+            assert.ok(pets.indexOf('return false;') !== -1);
+        }
+    },
+    'Bare http listener': {
+        topic: function() {
+            var tmpDir = tmp.dirSync({ unsafeCleanup: true });
+            var files = routes.build([{
+                destination: 'things',
+                methodName: 'showThing',
+                method: 'GET',
+                path: '/things/{thingId}',
+                parameters: [{ name: 'thingId', in: 'path', schema: { type: 'string' } }]
+            }, {
+                destination: 'things',
+                methodName: 'listMine',
+                method: 'GET',
+                path: '/things/mine',
+                parameters: [{ name: 'tag', in: 'query', schema: { type: 'array' } }]
+            }], [], 'definitions_generated', 'http');
+            fs.mkdirSync(tmpDir.name + '/things');
+            Object.keys(files).forEach(function(file) {
+                fs.writeFileSync(tmpDir.name + '/' + file, files[file]);
+            });
+            // the controller answers with the parameters it received
+            fs.writeFileSync(tmpDir.name + '/things/things.controller.js', 'module.exports = class {\n' +
+                '  showThing(req, res) { res.end(\'showThing \' + JSON.stringify(req.params)); }\n' +
+                '  listMine(req, res) { res.end(\'listMine \' + JSON.stringify(req.query)); }\n' +
+                '};\n');
+            var listener = require(tmpDir.name + '/index.js')({});
+            var call = function(url) {
+                var req = new PassThrough();
+                req.method = 'GET';
+                req.url = url;
+                req.end();
+                var res = { writeHead: function() {}, end: function(body) { this.body = body; } };
+                return Promise.resolve(listener(req, res)).then(function() {
+                    return res.body;
+                });
+            };
+            var callback = this.callback;
+            Promise.all([call('/things/mine?tag=a&tag=b&limit=1'), call('/things/7')]).then(function(bodies) {
+                tmpDir.removeCallback();
+                callback(null, bodies);
+            }, callback);
+        },
+        'literal segments win over path parameters': function(bodies) {
+            assert.match(bodies[0], /^listMine /);
+            assert.equal(bodies[1], 'showThing {"thingId":"7"}');
+        },
+        'repeated query parameters are kept as arrays': function(bodies) {
+            assert.equal(bodies[0], 'listMine {"tag":["a","b"],"limit":"1"}');
+        }
+    },
+    'Bundled definitions': {
+        topic: function() {
+            return routes.build([{
+                destination: 'pets',
+                methodName: 'createPet',
+                method: 'POST',
+                path: '/pets',
+                parameters: [{ name: 'pet', in: 'body', schema: { $ref: 'schemas/pet.yaml' } }]
+            }], ['pet'], 'definitions_generated');
+        },
+        'are named as the bundler names them': function(files) {
+            assert.ok(files['pets/pets.routes.js'].indexOf('new(definitions.getClass(\'pet\'))(req, res, req.body, controller.options);') !== -1);
+        }
+    },
+    'Unknown frameworks': {
+        'are rejected': function() {
+            assert.throws(function() {
+                routes.build(methods, ['Pet'], 'definitions_generated', 'hapi');
+            }, /Unsupported framework: hapi/);
+        }
+    }
+}).export(module);
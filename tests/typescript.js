@@ -0,0 +1,224 @@
+'use strict';
+
+var assert = require('assert');
+var vows = require('vows');
+var fs = require('fs');
+
+var ts = require('../lib/typescript');
+var formatter = require('../lib/formatter');
+var CodeGen = require('../lib/codegen').CodeGen;
+
+var library = JSON.parse(fs.readFileSync(__dirname + '/apis/library.json', 'UTF-8'));
+var zoo = JSON.parse(fs.readFileSync(__dirname + '/apis/zoo.json', 'UTF-8'));
+var inventory = JSON.parse(fs.readFileSync(__dirname + '/apis/inventory.json', 'UTF-8'));
+var pets = JSON.parse(fs.readFileSync(__dirname + '/apis/pets.json', 'UTF-8'));
+var users = JSON.parse(fs.readFileSync(__dirname + '/apis/users.json', 'UTF-8'));
+
+function property(type, name) {
+    return type.properties.filter(function(p) { return p.name === name; })[0];
+}
+
+vows.describe('Typescript Types').addBatch({
+    'OpenAPI 3.1 schemas': {
+        topic: function() {
+            return ts.convertType(library.components.schemas.Book, library);
+        },
+        'type arrays become unions': function(type) {
+            var subtitle = type.properties.filter(function(p) { return p.name === 'subtitle'; })[0];
+            assert.ok(subtitle.isUnion);
+            assert.deepEqual(subtitle.unionTypes.map(function(t) { return t.tsType; }), ['string', 'null']);
+            assert.deepEqual(subtitle.unionTypes.map(function(t) { return t.last; }), [false, true]);
+        },
+        'const becomes a literal type': function(type) {
+            var kind = type.properties.filter(function(p) { return p.name === 'kind'; })[0];
+            assert.equal(kind.tsType, '"book"');
+            assert.ok(kind.isAtomic);
+        },
+        'examples provide the example value': function(type) {
+            var isbn = type.properties.filter(function(p) { return p.name === 'isbn'; })[0];
+            assert.equal(isbn.example, '9780262510875');
+        },
+        'prefixItems become tuples': function(type) {
+            var dimensions = type.properties.filter(function(p) { return p.name === 'dimensions'; })[0];
+            assert.ok(dimensions.isTuple);
+            assert.equal(dimensions.elementTypes.length, 2);
+        },
+        'arrays without items hold any value': function(type) {
+            var keywords = type.properties.filter(function(p) { return p.name === 'keywords'; })[0];
+            assert.equal(keywords.elementType.tsType, 'any');
+        },
+        '$defs are referenced by name': function(type) {
+            var shelf = type.properties.filter(function(p) { return p.name === 'shelf'; })[0];
+            assert.equal(shelf.target, 'Shelf');
+        },
+        '$defs named as a different schema are rejected': function() {
+            var modified = JSON.parse(JSON.stringify(library));
+            modified.components.schemas.Shelf = { type: 'object', properties: { floor: { type: 'integer' } } };
+            assert.throws(function() {
+                CodeGen.getTypescriptCode({ className: 'Library', swagger: modified });
+            }, /Schema name collision: Shelf of the \$defs of Book is already a component schema/);
+        }
+    },
+    'Polymorphic schemas': {
+        topic: function() {
+            return ts.convertType(zoo.components.schemas.Animal, zoo);
+        },
+        'oneOf becomes a union': function(type) {
+            assert.ok(type.isUnion);
+            assert.deepEqual(type.unionTypes.map(function(t) { return t.target; }), ['Cat', 'Dog']);
+        },
+        'variants are tagged from the mapping, then from their name': function(type) {
+            assert.deepEqual(type.unionTypes.map(function(t) { return t.discriminatorTag.value; }), ['cat', 'Dog']);
+            assert.equal(type.unionTypes[0].discriminatorTag.propertyName, 'kind');
+        },
+        'shared properties are kept apart': function(type) {
+            assert.equal(type.baseType.properties[0].name, 'id');
+        },
+        'inline variants are tagged from their enum': function() {
+            var toy = ts.convertType(zoo.components.schemas.Dog, zoo).properties[1];
+            assert.deepEqual(toy.unionTypes.map(function(t) { return t.discriminatorTag.value; }), ['ball', 'stick']);
+        },
+        'anyOf becomes a union': function() {
+            var body = zoo.paths['/animals/{id}'].put.requestBody.content['application/json'];
+            var type = ts.convertType(body, zoo);
+            assert.ok(type.isUnion);
+            assert.equal(type.unionTypes[0].discriminatorTag, null);
+        },
+        'example responses use the first variant': function() {
+            var definitions = ['Animal', 'Cat', 'Dog'].map(function(name) {
+                return { name: name, tsType: ts.convertType(zoo.components.schemas[name], zoo) };
+            });
+            var response = formatter.responseBuilder(definitions[0], definitions, 200);
+            assert.deepEqual(response, { id: 'string', kind: 'cat', lives: 9 });
+        }
+    },
+    'Maps, nullable types and formats': {
+        topic: function() {
+            return ts.convertType(inventory.components.schemas.Item, inventory, {
+                formatTypes: { 'date-time': 'Date', int64: 'string' }
+            });
+        },
+        'additionalProperties become an index signature': function(type) {
+            var labels = property(type, 'labels');
+            assert.ok(labels.isMap);
+            assert.equal(labels.additionalType.tsType, 'string');
+            assert.ok(!labels.isInterface);
+        },
+        'additionalProperties are combined with declared properties': function() {
+            var location = ts.convertType(inventory.components.schemas.Location, inventory);
+            assert.ok(!location.isMap);
+            assert.equal(location.additionalType.tsType, 'any');
+            assert.equal(location.properties.length, 1);
+        },
+        'nullable types are flagged': function(type) {
+            assert.ok(property(type, 'updatedAt').isNullable);
+            assert.ok(!property(type, 'name').isNullable);
+        },
+        'formats are mapped': function(type) {
+            assert.equal(property(type, 'updatedAt').tsType, 'Date');
+            assert.equal(property(type, 'id').tsType, 'string');
+            assert.equal(ts.convertType(inventory.components.schemas.Item, inventory).properties[0].tsType, 'number');
+        }
+    },
+    'Read-only and write-only properties': {
+        topic: function() {
+            return ts.getDirectionalSchemas(inventory.components.schemas);
+        },
+        'schemas declaring or referencing them are listed': function(directional) {
+            assert.deepEqual(directional.sort(), ['Item', 'Shipment']);
+        },
+        'requests drop read-only properties': function(directional) {
+            var type = ts.convertType(inventory.components.schemas.Item, inventory, { direction: 'request', directional: directional });
+            assert.equal(property(type, 'id'), undefined);
+            assert.ok(property(type, 'secret'));
+        },
+        'responses drop write-only properties': function(directional) {
+            var type = ts.convertType(inventory.components.schemas.Item, inventory, { direction: 'response', directional: directional });
+            assert.ok(property(type, 'id'));
+            assert.equal(property(type, 'secret'), undefined);
+        },
+        'references point to the matching variant': function(directional) {
+            var type = ts.convertType(inventory.components.schemas.Shipment, inventory, { direction: 'request', directional: directional });
+            assert.equal(property(type, 'items').elementType.targetSuffix, 'Request');
+        },
+        'generated clients use the variants': function() {
+            var code = CodeGen.getTypescriptCode({ className: 'Test', swagger: inventory });
+            assert.ok(/export interface ItemRequest/.test(code));
+            assert.ok(/'item' \? : ItemRequest/.test(code));
+            assert.ok(/export type createItemResult = ResponseWithStatus < 201, ItemResponse >/.test(code));
+        },
+        'variants named as an existing schema are numbered': function() {
+            var modified = JSON.parse(JSON.stringify(inventory));
+            modified.components.schemas.ItemRequest = { type: 'object', properties: { quantity: { type: 'integer' } } };
+            var code = CodeGen.getTypescriptCode({ className: 'Test', swagger: modified });
+            assert.equal(code.match(/export interface ItemRequest\b/g).length, 1);
+            assert.ok(/export interface ItemRequest2/.test(code));
+            assert.ok(/'item' \? : ItemRequest2/.test(code));
+            assert.ok(/export interface ItemResponse\b/.test(code));
+        }
+    },
+    'Request content types': {
+        topic: function() {
+            return CodeGen.getTypescriptCode({ className: 'Test', swagger: pets });
+        },
+        'callers pick one of the declared types': function(code) {
+            assert.ok(/\$contentType \? : 'application\/json' \| 'application\/x-www-form-urlencoded' \| 'multipart\/form-data'/.test(code));
+            assert.ok(/headers\['Content-Type'\] = parameters\.\$contentType \|\| 'application\/json'/.test(code));
+        },
+        'bodies accept the schema of every declared type': function(code) {
+            assert.ok(/'photo' \? : \(\{/.test(code));
+        }
+    },
+    'Responses': {
+        topic: function() {
+            return CodeGen.getTypescriptCode({ className: 'Test', swagger: pets });
+        },
+        'results are typed by status code': function(code) {
+            assert.ok(/export type showPetByIdResult = ResponseWithStatus < 200, Pet >/.test(code));
+            assert.ok(/export type updatePetResult = ResponseWithStatus < 200, Pet >\s*\| ResponseWithStatus < number, undefined >/.test(code));
+        },
+        'errors are typed by status code, default included': function(code) {
+            assert.ok(/export type showPetByIdError = HttpError < 404, Error >\s*\| HttpError < number, Error >/.test(code));
+        },
+        'methods resolve with the typed results and reject with the typed errors': function(code) {
+            assert.ok(/showPetById\(parameters: \{[^}]*\}\): Promise < TestResponses\.showPetByIdResult > \{/.test(code));
+            assert.ok(/return new Promise\(\(resolve, reject: \(error: TestResponses\.showPetByIdError \| RequestError\) => void\) => \{/.test(code));
+        },
+        'Swagger 2.0 responses are typed by status code as well': function() {
+            var code = CodeGen.getTypescriptCode({ className: 'Test', swagger: users });
+            assert.ok(/export type findByIdResult = ResponseWithStatus < 200, \{\s*'name' \? : string/.test(code));
+            assert.ok(/export type findByIdError = HttpError < 404, undefined >/.test(code));
+            var node = CodeGen.getNodeCode({ className: 'Test', swagger: users });
+            assert.ok(node.indexOf('the body depends on the status:\n     *   200: {object} User returned') !== -1);
+            assert.ok(node.indexOf('*   404: {undefined} User not found') !== -1);
+        }
+    },
+    'Runtime validation': {
+        'is only generated on demand': function() {
+            var code = CodeGen.getTypescriptCode({ className: 'Test', swagger: pets });
+            assert.equal(code.indexOf('validateRequest'), -1);
+        },
+        'checks requests and responses': function() {
+            var code = CodeGen.getTypescriptCode({ className: 'Test', swagger: pets, validateRequests: true, validateResponses: true });
+            assert.ok(/validateRequest\(validation, parameters\);/.test(code));
+            assert.ok(/validated\(reject\), validated\(resolve\)/.test(code));
+        }
+    },
+    'OpenAPI versions': {
+        'every 3.0.x and 3.1.x document is accepted': function() {
+            ['3.0.0', '3.0.1', '3.0.2', '3.0.3', '3.1.0', '3.1.1'].forEach(function(version) {
+                var spec = JSON.parse(JSON.stringify(library));
+                spec.openapi = version;
+                var result = CodeGen.getNodeCode({ className: 'Test', swagger: spec });
+                assert.ok(result.indexOf('listBooks') !== -1, version);
+            });
+        },
+        'other OpenAPI versions are rejected': function() {
+            var spec = JSON.parse(JSON.stringify(library));
+            spec.openapi = '4.0.0';
+            assert.throws(function() {
+                CodeGen.getNodeCode({ className: 'Test', swagger: spec });
+            }, /Unsupported OpenAPI version: 4\.0\.0/);
+        }
+    }
+}).export(module);
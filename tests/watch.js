@@ -0,0 +1,108 @@
+'use strict';
+
+var assert = require('assert');
+var vows = require('vows');
+var fs = require('fs');
+var tmp = require('tmp');
+
+var watch = require('../lib/watch');
+
+/**
+ * Watch a copy of the documents, with watchers that are triggered by hand
+ */
+function start(callback) {
+    var tmpDir = tmp.dirSync({ unsafeCleanup: true });
+    fs.cpSync(__dirname + '/refs', tmpDir.name + '/refs', { recursive: true });
+    fs.copyFileSync(__dirname + '/apis/pets.json', tmpDir.name + '/pets.json');
+
+    var state = { dir: tmpDir.name, logs: [], errors: [], listeners: {}, closed: 0 };
+    state.handle = watch.watch([
+        { spec: tmpDir.name + '/refs/store.yaml', type: 'typescript', className: 'Store', out: tmpDir.name + '/store.ts' },
+        { spec: tmpDir.name + '/pets.json', type: 'node', className: 'Pets', out: tmpDir.name + '/pets.js' }
+    ], {
+        delay: 10,
+        log: function(message) { state.logs.push(message); },
+        error: function(message) { state.errors.push(message); },
+        watchDirectory: function(directory, listener) {
+            state.listeners[directory] = listener;
+            return { close: function() { state.closed++; } };
+        }
+    });
+    state.handle.ready.then(function() {
+        callback(state);
+    });
+    return tmpDir;
+}
+
+/**
+ * Report changes as the watchers would, then wait for the regeneration
+ */
+function change(state, directory, filenames, callback) {
+    state.logs = [];
+    filenames.forEach(function(filename) {
+        state.listeners[state.dir + directory](filename === 'order.json' ? 'change' : 'rename', filename);
+    });
+    state.handle.settled().then(function() {
+        callback(state);
+    });
+}
+
+vows.describe('Watch').addBatch({
+    'Summaries': {
+        topic: function() {
+            return watch.summarize({ 'a.js': 'a', 'b.js': 'b', 'c.js': 'c' }, { 'a.js': 'a', 'b.js': 'B', 'd.js': 'd' });
+        },
+        'list the changes of the generated files': function(summary) {
+            assert.deepEqual(summary, { added: ['d.js'], changed: ['b.js'], removed: ['c.js'], unchanged: ['a.js'] });
+        },
+        'are reported file by file': function(summary) {
+            assert.deepEqual(watch.formatSummary(summary), [
+                '1 changed, 1 added, 1 no longer generated, 1 unchanged',
+                '  ~ b.js',
+                '  + d.js',
+                '  - c.js'
+            ]);
+        }
+    },
+    'Changes': {
+        topic: function() {
+            var callback = this.callback;
+            var tmpDir = start(function(state) {
+                var schemas = state.dir + '/refs/schemas';
+                var order = JSON.parse(fs.readFileSync(schemas + '/order.json', 'UTF-8'));
+                order.Order.properties.total = { type: 'number' };
+                fs.writeFileSync(schemas + '/order.json', JSON.stringify(order));
+                change(state, '/refs/schemas', ['order.json', 'order.json', 'unrelated.json'], function() {
+                    var changed = state.logs;
+                    fs.writeFileSync(state.dir + '/pets.json', '{ "openapi": ');
+                    change(state, '', ['pets.json'], function() {
+                        state.handle.close();
+                        tmpDir.removeCallback();
+                        callback(null, { state: state, changed: changed });
+                    });
+                });
+            });
+        },
+        'the document and every file it references are watched': function(result) {
+            assert.deepEqual(Object.keys(result.state.listeners).map(function(directory) {
+                return directory.slice(result.state.dir.length);
+            }).sort(), ['', '/refs', '/refs/schemas']);
+        },
+        'a burst of changes regenerates the affected jobs once': function(result) {
+            assert.match(result.changed[0], /refs\/schemas\/order\.json changed, regenerating 1 of 2 jobs$/);
+            assert.equal(result.changed.filter(function(line) { return line.indexOf('regenerating') !== -1; }).length, 1);
+        },
+        'the changed outputs are summarized': function(result) {
+            assert.match(result.changed[1], /store\.ts: 1 changed, 0 added, 0 no longer generated, 0 unchanged$/);
+            assert.match(result.changed[2], /~ .*store\.ts$/);
+        },
+        'errors are reported and the watch goes on': function(result) {
+            assert.equal(result.state.errors.length, 1);
+            assert.match(result.state.errors[0], /pets\.json: /);
+            assert.match(result.state.logs[0], /pets\.json changed, regenerating 1 of 2 jobs$/);
+        },
+        'closing stops every watcher': function(result) {
+            assert.equal(result.state.closed, 3);
+        }
+    }
+}).export(module);